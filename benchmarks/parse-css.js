@@ -0,0 +1,70 @@
+// Dependencies
+// =============================================================================
+require('babel-core/register')({
+    presets: [
+        ['env', {
+            targets: {
+                node: 'current'
+            }
+        }]
+    ]
+});
+
+const parseCss = require('../src/parse-css').default;
+
+
+// Variables
+// =============================================================================
+// Repeated to generate ~150 KB and ~600 KB stylesheets
+const cssBlock = `
+    /* Comment */
+    :root { --color: red; }
+    .a > .b:hover, .c[data-d="e,f"] { color: var(--color, blue); margin: 0 auto; }
+    @media screen and (min-width: 30em) { p { font: 1em/1.5 "Helvetica Neue", sans-serif; } }
+    @keyframes fade { from { opacity: 0; } to { opacity: 1; } }
+`;
+const sizes = [500, 1000, 2000];
+
+
+// Functions
+// =============================================================================
+/**
+ * Returns the fastest of three parse times in milliseconds to reduce the
+ * impact of garbage collection
+ *
+ * @param {string} css
+ * @returns {number}
+ */
+function getTime(css) {
+    let time = Infinity;
+
+    for (let i = 0; i < 3; i++) {
+        const start = Date.now();
+
+        parseCss(css);
+        time = Math.min(time, Date.now() - start);
+    }
+
+    return Math.max(time, 1);
+}
+
+
+// Benchmark
+// =============================================================================
+// Warm up the JIT compiler before measuring
+parseCss(new Array(sizes[0] + 1).join(cssBlock));
+
+// Parse time should increase linearly with the size of the CSS. Quadratic
+// parsing would take ~4 times longer each time the size is doubled.
+const times = sizes.map(size => {
+    const css  = new Array(size + 1).join(cssBlock);
+    const time = getTime(css);
+
+    // eslint-disable-next-line
+    console.log(`parseCss: ${Math.round(css.length / 1024)} KB in ${time} ms`);
+
+    return time;
+});
+
+// eslint-disable-next-line
+console.log(`parseCss: ${(times[times.length - 1] / times[0]).toFixed(1)}x time for ${sizes[sizes.length - 1] / sizes[0]}x CSS`);
@@ -0,0 +1,221 @@
+// Dependencies
+// =============================================================================
+import balanced  from 'balanced-match';
+import mergeDeep from './merge-deep';
+import parseCss  from './parse-css';
+
+
+// Functions
+// =============================================================================
+/**
+ * Analyzes CSS custom property declarations and var() function references
+ * and returns a report object.
+ *
+ * @example
+ *
+ *   analyzeCss(':root { --a: red; --b: blue; } p { color: var(--a); }');
+ *   // => {
+ *   //   declarations: [{ name: '--a', value: 'red', selector: ':root', ... }, ...],
+ *   //   references  : [{ name: '--a', property: 'color', status: 'resolved', ... }],
+ *   //   fallbacks   : [],
+ *   //   undefined   : [],
+ *   //   unused      : ['--b'],
+ *   //   graph       : { '--a': [], '--b': [] }
+ *   // }
+ *
+ * @param {string} cssText CSS containing variable definitions and functions
+ * @param {object} [options] Options object
+ * @param {array}  [options.sources] Source objects containing a name and CSS
+ *                 content (e.g. { name: 'style.css', content: '...' }). The
+ *                 cssText must be the concatenated content of all sources.
+ * @param {object} [options.variables={}] CSS variable definitions declared
+ *                 outside of the cssText (e.g. via JavaScript). Variables
+ *                 are treated as declared when resolving references.
+ * @returns {object} Report object containing 1) "declarations", an array of
+ *          every custom property declaration, 2) "references", an array of
+ *          every var() function reference, 3) "fallbacks", the references to
+ *          undeclared variables resolved using a fallback value, 4)
+ *          "undefined", the references to undeclared variables without a
+ *          fallback value, 5) "unused", the names of declared variables that
+ *          are not referenced (directly or via other variables) by a
+ *          property value, and 6) "graph", a map of each declared variable
+ *          name and the variable names referenced by its values.
+ */
+function analyzeCss(cssText, options = {}) {
+    const defaults = {
+        sources  : [],
+        variables: {}
+    };
+    const settings      = mergeDeep(defaults, options);
+    const sources       = settings.sources.length ? settings.sources : [{ name: null, content: cssText }];
+    const sourceOffsets = [];
+    const declarations  = [];
+    const references    = [];
+    const graph         = {};
+    const isDeclared    = {};
+    const isUsed        = {};
+
+    // Offsets of each source in the cssText
+    sources.reduce((offset, source) => {
+        sourceOffsets.push(offset);
+
+        return offset + source.content.length;
+    }, 0);
+
+    // Returns source name, offset within source, line, and column
+    function getSource(node) {
+        const start = node.position.start;
+
+        let i = sourceOffsets.length - 1;
+
+        while (i > 0 && sourceOffsets[i] > start.offset) {
+            i--;
+        }
+
+        return {
+            source: sources[i].name,
+            offset: start.offset - sourceOffsets[i],
+            line  : start.line,
+            column: start.column
+        };
+    }
+
+    function analyzeRules(rules, conditions) {
+        rules.forEach(rule => {
+            // @media, @supports, @document, @host, other at-rules
+            if (rule.rules) {
+                const condition = rule.type === 'host' ? '@host' : rule.type === 'at-rule' ? `@${rule.name} ${rule.prelude}`.trim() : `@${rule.type} ${rule[rule.type]}`;
+
+                analyzeRules(rule.rules, conditions.concat(condition));
+            }
+            // @keyframes
+            else if (rule.keyframes) {
+                rule.keyframes.forEach(keyframe => {
+                    if (keyframe.declarations) {
+                        analyzeDecls(keyframe.declarations, `@${rule.vendor || ''}keyframes ${rule.name} ${keyframe.values.join(',')}`, conditions);
+                    }
+                });
+            }
+            // Rule, @font-face, @page, other at-rules (@property descriptors
+            // are ignored)
+            else if (rule.declarations && rule.type !== 'property') {
+                const selector = rule.selectors ? rule.selectors.join(',') : rule.type === 'at-rule' ? `@${rule.name} ${rule.prelude}`.trim() : `@${rule.type}`;
+
+                analyzeDecls(rule.declarations, rule.type === 'page' ? `@page ${selector}`.trim() : selector, conditions);
+            }
+        });
+    }
+
+    function analyzeDecls(decls, selector, conditions) {
+        decls.forEach(decl => {
+            if (decl.type !== 'declaration') {
+                return;
+            }
+
+            const isVarProp = decl.property.indexOf('--') === 0;
+            const refs      = getVarRefs(decl.value);
+
+            if (isVarProp) {
+                isDeclared[decl.property] = true;
+                graph[decl.property] = graph[decl.property] || [];
+
+                refs.forEach(ref => {
+                    if (graph[decl.property].indexOf(ref.name) === -1) {
+                        graph[decl.property].push(ref.name);
+                    }
+                });
+
+                declarations.push(mergeDeep({
+                    name      : decl.property,
+                    value     : decl.value,
+                    selector  : selector,
+                    conditions: conditions
+                }, getSource(decl)));
+            }
+
+            refs.forEach(ref => {
+                references.push(mergeDeep({
+                    name      : ref.name,
+                    fallback  : ref.fallback,
+                    property  : decl.property,
+                    selector  : selector,
+                    conditions: conditions
+                }, getSource(decl)));
+
+                // References in property values (not variables) are used
+                if (!isVarProp) {
+                    isUsed[ref.name] = true;
+                }
+            });
+        });
+    }
+
+    analyzeRules(parseCss(cssText, { sources: settings.sources }).stylesheet.rules, []);
+
+    Object.keys(settings.variables).forEach(key => {
+        isDeclared[`--${key.replace(/^-+/, '')}`] = true;
+    });
+
+    // Mark variables referenced by used variables as used
+    const usedQueue = Object.keys(isUsed);
+
+    while (usedQueue.length) {
+        (graph[usedQueue.shift()] || []).forEach(name => {
+            if (!isUsed[name]) {
+                isUsed[name] = true;
+                usedQueue.push(name);
+            }
+        });
+    }
+
+    references.forEach(ref => {
+        ref.status = isDeclared[ref.name] ? 'resolved' : ref.fallback !== undefined ? 'fallback' : 'undefined';
+    });
+
+    return {
+        declarations: declarations,
+        references  : references,
+        fallbacks   : references.filter(ref => ref.status === 'fallback'),
+        undefined   : references.filter(ref => ref.status === 'undefined'),
+        unused      : Object.keys(graph).filter(name => !isUsed[name]),
+        graph       : graph
+    };
+}
+
+
+// Functions (Private)
+// =============================================================================
+/**
+ * Returns an array of var() function references in a value, including those
+ * nested in fallback values
+ * Example: 'var(--a, var(--b))' => [{ name: '--a', fallback: 'var(--b)' }, { name: '--b' }]
+ *
+ * @param {string} value
+ * @returns {array}
+ */
+function getVarRefs(value) {
+    const refs = [];
+
+    let index = value.indexOf('var(');
+
+    while (index !== -1) {
+        const varFunc = balanced('(', ')', value.slice(index));
+        const match   = varFunc ? /^\s*(--[^,\s)]+)\s*(?:,([\s\S]*))?$/.exec(varFunc.body) : null;
+
+        if (match) {
+            refs.push({
+                name    : match[1],
+                fallback: match[2] !== undefined ? match[2].trim() : undefined
+            });
+        }
+
+        index = value.indexOf('var(', index + 4);
+    }
+
+    return refs;
+}
+
+
+// Exports
+// =============================================================================
+export default analyzeCss;
@@ -0,0 +1,171 @@
+// Constants & Variables
+// =============================================================================
+// Properties that inherit by default
+const inherited = [
+    'border-collapse', 'border-spacing', 'caption-side', 'color', 'cursor',
+    'direction', 'empty-cells', 'fill', 'fill-opacity', 'fill-rule', 'font',
+    'font-family', 'font-feature-settings', 'font-kerning', 'font-size',
+    'font-size-adjust', 'font-stretch', 'font-style', 'font-variant',
+    'font-variant-caps', 'font-variant-ligatures', 'font-variant-numeric',
+    'font-weight', 'hyphens', 'image-rendering', 'letter-spacing',
+    'line-height', 'list-style', 'list-style-image', 'list-style-position',
+    'list-style-type', 'orphans', 'overflow-wrap', 'paint-order',
+    'pointer-events', 'quotes', 'stroke', 'stroke-dasharray',
+    'stroke-dashoffset', 'stroke-linecap', 'stroke-linejoin',
+    'stroke-miterlimit', 'stroke-opacity', 'stroke-width', 'tab-size',
+    'text-align', 'text-align-last', 'text-anchor', 'text-indent',
+    'text-justify', 'text-rendering', 'text-shadow', 'text-size-adjust',
+    'text-transform', 'visibility', 'white-space', 'widows', 'word-break',
+    'word-spacing', 'word-wrap', 'writing-mode'
+];
+// Initial values of properties that do not inherit by default
+const initialValues = {
+    'align-content'             : 'stretch',
+    'align-items'               : 'stretch',
+    'align-self'                : 'auto',
+    'animation'                 : 'none',
+    'animation-delay'           : '0s',
+    'animation-duration'        : '0s',
+    'animation-name'            : 'none',
+    'background'                : 'none',
+    'background-attachment'     : 'scroll',
+    'background-clip'           : 'border-box',
+    'background-color'          : 'transparent',
+    'background-image'          : 'none',
+    'background-origin'         : 'padding-box',
+    'background-position'       : '0% 0%',
+    'background-repeat'         : 'repeat',
+    'background-size'           : 'auto',
+    'border'                    : 'none',
+    'border-bottom'             : 'none',
+    'border-bottom-color'       : 'currentColor',
+    'border-bottom-left-radius' : '0',
+    'border-bottom-right-radius': '0',
+    'border-bottom-style'       : 'none',
+    'border-bottom-width'       : 'medium',
+    'border-color'              : 'currentColor',
+    'border-left'               : 'none',
+    'border-left-color'         : 'currentColor',
+    'border-left-style'         : 'none',
+    'border-left-width'         : 'medium',
+    'border-radius'             : '0',
+    'border-right'              : 'none',
+    'border-right-color'        : 'currentColor',
+    'border-right-style'        : 'none',
+    'border-right-width'        : 'medium',
+    'border-style'              : 'none',
+    'border-top'                : 'none',
+    'border-top-color'          : 'currentColor',
+    'border-top-left-radius'    : '0',
+    'border-top-right-radius'   : '0',
+    'border-top-style'          : 'none',
+    'border-top-width'          : 'medium',
+    'border-width'              : 'medium',
+    'bottom'                    : 'auto',
+    'box-shadow'                : 'none',
+    'box-sizing'                : 'content-box',
+    'clear'                     : 'none',
+    'clip'                      : 'auto',
+    'column-count'              : 'auto',
+    'column-gap'                : 'normal',
+    'column-width'              : 'auto',
+    'columns'                   : 'auto',
+    'content'                   : 'normal',
+    'display'                   : 'inline',
+    'filter'                    : 'none',
+    'flex'                      : '0 1 auto',
+    'flex-basis'                : 'auto',
+    'flex-direction'            : 'row',
+    'flex-flow'                 : 'row nowrap',
+    'flex-grow'                 : '0',
+    'flex-shrink'               : '1',
+    'flex-wrap'                 : 'nowrap',
+    'float'                     : 'none',
+    'gap'                       : 'normal',
+    'grid-gap'                  : '0',
+    'grid-template-columns'     : 'none',
+    'grid-template-rows'        : 'none',
+    'height'                    : 'auto',
+    'justify-content'           : 'flex-start',
+    'left'                      : 'auto',
+    'margin'                    : '0',
+    'margin-bottom'             : '0',
+    'margin-left'               : '0',
+    'margin-right'              : '0',
+    'margin-top'                : '0',
+    'max-height'                : 'none',
+    'max-width'                 : 'none',
+    'min-height'                : '0',
+    'min-width'                 : '0',
+    'object-fit'                : 'fill',
+    'opacity'                   : '1',
+    'order'                     : '0',
+    'outline'                   : 'none',
+    'outline-color'             : 'invert',
+    'outline-offset'            : '0',
+    'outline-style'             : 'none',
+    'outline-width'             : 'medium',
+    'overflow'                  : 'visible',
+    'overflow-x'                : 'visible',
+    'overflow-y'                : 'visible',
+    'padding'                   : '0',
+    'padding-bottom'            : '0',
+    'padding-left'              : '0',
+    'padding-right'             : '0',
+    'padding-top'               : '0',
+    'position'                  : 'static',
+    'right'                     : 'auto',
+    'table-layout'              : 'auto',
+    'text-decoration'           : 'none',
+    'text-decoration-color'     : 'currentColor',
+    'text-decoration-line'      : 'none',
+    'text-decoration-style'     : 'solid',
+    'text-overflow'             : 'clip',
+    'top'                       : 'auto',
+    'transform'                 : 'none',
+    'transform-origin'          : '50% 50% 0',
+    'transition'                : 'none',
+    'transition-delay'          : '0s',
+    'transition-duration'       : '0s',
+    'transition-property'       : 'all',
+    'transition-timing-function': 'ease',
+    'unicode-bidi'              : 'normal',
+    'user-select'               : 'auto',
+    'vertical-align'            : 'baseline',
+    'width'                     : 'auto',
+    'will-change'               : 'auto',
+    'z-index'                   : 'auto'
+};
+
+
+// Functions
+// =============================================================================
+/**
+ * Returns the value a property resolves to when its value is invalid at
+ * computed-value time: "inherit" for inherited properties (including custom
+ * properties) or the initial value for non-inherited properties. The
+ * "initial" keyword is returned for properties without a known initial value.
+ *
+ * @param {string} property The property name (vendor prefixes are ignored)
+ * @returns {string}
+ */
+function getUnsetValue(property) {
+    property = String(property).toLowerCase();
+
+    if (property.indexOf('--') === 0) {
+        return 'inherit';
+    }
+
+    property = property.replace(/^-[a-z]+-/, '');
+
+    if (inherited.indexOf(property) !== -1) {
+        return 'inherit';
+    }
+
+    return initialValues.hasOwnProperty(property) ? initialValues[property] : 'initial';
+}
+
+
+// Exports
+// =============================================================================
+export default getUnsetValue;
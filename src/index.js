@@ -1,6 +1,8 @@
 // Dependencies
 // =============================================================================
+import analyzeCss          from './analyze-css';
 import getCssData          from 'get-css-data';
+import matchSyntax         from './match-syntax';
 import mergeDeep           from './merge-deep';
 import transformCss        from './transform-css';
 import { name as pkgName } from '../package.json';
@@ -13,21 +15,33 @@ const defaults = {
     include      : 'style,link[rel=stylesheet]',
     exclude      : '',
     // Options
-    fixNestedCalc: true,  // transformCss
-    onlyLegacy   : true,  // cssVars
-    onlyVars     : false, // cssVars, transformCss
-    preserve     : false, // transformCss
-    silent       : false, // cssVars
-    updateDOM    : true,  // cssVars
-    updateURLs   : true,  // cssVars
-    variables    : {},    // transformCss
-    watch        : false, // cssVars
+    fixNestedCalc: true,      // transformCss
+    format       : 'compact', // transformCss
+    functions    : {},        // transformCss
+    id           : pkgName,   // cssVars
+    keepLicense  : false,     // transformCss
+    lossless     : false,     // transformCss
+    onlyLegacy   : true,      // cssVars
+    onlyVars     : false,     // cssVars, transformCss
+    plugins      : [],        // transformCss
+    preserve     : false,     // transformCss
+    reduceCalc   : false,     // transformCss
+    scopedVars   : false,     // cssVars, transformCss
+    silent       : false,     // cssVars
+    sourceMap    : false,     // cssVars, transformCss
+    tolerant     : false,     // transformCss
+    unsetInvalid : false,     // transformCss
+    updateDOM    : true,      // cssVars
+    updateURLs   : true,      // cssVars
+    variables    : {},        // transformCss
+    watch        : false,     // cssVars
+    watchDebounce: 1,         // cssVars
     // Callbacks
-    onBeforeSend() {},    // cssVars
-    onSuccess() {},       // cssVars
-    onWarning() {},       // transformCss
-    onError() {},         // cssVars
-    onComplete() {}       // cssVars
+    onBeforeSend() {},        // cssVars
+    onSuccess() {},           // cssVars
+    onWarning() {},           // transformCss
+    onError() {},             // cssVars
+    onComplete() {}           // cssVars
 };
 const isBrowser = typeof window !== 'undefined';
 var hasNativeSupport = isBrowser && window && window.CSS && window.CSS.supports && window.CSS.supports("(--a: 0)");
@@ -38,10 +52,21 @@ const regex = {
     cssKeyframes: /@(?:-\w*-)?keyframes/,
     // CSS url(...) values
     cssUrls: /url\((?!['"]?(?:data|http|\/\/):)['"]?([^'")]*)['"]?\)/g,
-    // CSS variable :root declarations and var() function values
-    cssVars: /(?:(?::root\s*{\s*[^;]*;*\s*)|(?:var\(\s*))(--[^:)]+)(?:\s*[:)])/
+    // CSS custom property declarations in an inline style attribute
+    cssInlineVars: /(?:^|;)\s*(--[^:;\s]+\s*:[^;]*)/g,
+    // CSS variable :root declarations, @property rules, var() function values,
+    // and @custom-media rules and references
+    cssVars: /(?:(?::root\s*{\s*[^;]*;*\s*)|(?:var\(\s*)|(?:@property\s+)|(?:@custom-media\s+)|(?:@media[^{;]*\(\s*))(--[^:)]+)(?:\s*[:)])/,
+    // CSS variable declarations (any selector), @property rules, var() function
+    // values, and @custom-media rules and references
+    cssScopedVars: /(?:[{;]\s*|var\(\s*|@property\s+|@custom-media\s+|@media[^{;]*\(\s*)(--[^:)]+)(?:\s*[:)])/
 };
-let cssVarsObserver = null;
+const registeredProperties = {};
+// Instance state (mutation observer, debounce timer, settings) keyed by options.id
+const instances = {};
+// Attribute added to the generated <style> nodes of all instances. Used
+// instead of id selectors, which require options.id to be a valid identifier.
+const outputAttr = `data-${pkgName}`;
 
 
 // Functions
@@ -63,17 +88,60 @@ let cssVarsObserver = null;
  *                   matches by options.include
  * @param {boolean}  [options.fixNestedCalc=true] Removes nested 'calc' keywords
  *                   for legacy browser compatibility.
+ * @param {object|string} [options.format='compact'] Determines the format of
+ *                   the ponyfill-generated CSS: "compact", "minify", "pretty",
+ *                   or an object containing format settings
+ * @param {object}   [options.functions] A map of custom function names and
+ *                   functions that will be evaluated after custom properties
+ *                   are resolved. Functions are passed the CSS function's
+ *                   arguments and return the resolved value.
+ * @param {string}   [options.id="css-vars-ponyfill"] The id of the generated
+ *                   <style> element. Also used as a key to isolate the state
+ *                   (persisted variables and mutation observer) of ponyfill
+ *                   instances with different ids.
+ * @param {boolean}  [options.keepLicense=false] Determines if license comments
+ *                   (comments beginning with "/*!") will be retained in the
+ *                   ponyfill-generated CSS
+ * @param {boolean}  [options.lossless=false] Determines if the original
+ *                   whitespace, comments, and formatting of the CSS will be
+ *                   retained in the ponyfill-generated CSS
  * @param {boolean}  [options.onlyLegacy=true] Determines if the ponyfill will
  *                   only generate legacy-compatible CSS in browsers that lack
  *                   native support (i.e., legacy browsers)
  * @param {boolean}  [options.onlyVars=false] Determines if CSS rulesets and
  *                   declarations without a custom property value should be
  *                   removed from the ponyfill-generated CSS
+ * @param {array}    [options.plugins] Plugin objects containing "before"
+ *                   and/or "after" functions that will be passed the CSS AST
+ *                   and a helper object before and after custom properties
+ *                   are resolved
  * @param {boolean}  [options.preserve=false] Determines if the original CSS
  *                   custom property declaration will be retained in the
  *                   ponyfill-generated CSS.
+ * @param {boolean}  [options.reduceCalc=false] Determines if calc()
+ *                   expressions will be evaluated to static values (e.g.
+ *                   "calc(8px * 2 + 4px)" becomes "20px") for legacy browsers
+ *                   that do not support calc() in all properties. Mixed-unit
+ *                   expressions are returned as normalized calc() expressions.
+ * @param {boolean}  [options.scopedVars=false] Determines if CSS custom
+ *                   properties declared on selectors other than :root will be
+ *                   resolved by generating additional rulesets for the
+ *                   selectors that consume them.
  * @param {boolean}  [options.silent=false] Determines if warning and error
  *                   messages will be displayed on the console
+ * @param {boolean}  [options.sourceMap=false] Determines if a source map
+ *                   mapping the ponyfill-generated CSS to the original <link>
+ *                   and <style> nodes will be generated, appended to the CSS
+ *                   as an inline sourceMappingURL comment, and passed to the
+ *                   onComplete callback.
+ * @param {boolean}  [options.tolerant=false] Determines if invalid CSS will
+ *                   be skipped instead of aborting the transformation. Each
+ *                   skipped error is reported via the onWarning callback.
+ * @param {boolean}  [options.unsetInvalid=false] Determines if declarations
+ *                   referencing undefined CSS custom properties without a
+ *                   fallback will resolve to "inherit" or the property's
+ *                   initial value as they would in browsers with native
+ *                   support.
  * @param {boolean}  [options.updateDOM=true] Determines if the ponyfill will
  *                   update the DOM after processing CSS custom properties
  * @param {boolean}  [options.updateURLs=true] Determines if the ponyfill will
@@ -84,7 +152,15 @@ let cssVarsObserver = null;
  *                   previous values.
  * @param {boolean}  [options.watch=false] Determines if a MutationObserver will
  *                   be created that will execute the ponyfill when a <link> or
- *                   <style> DOM mutation is observed.
+ *                   <style> DOM mutation, a <style> text change, or a custom
+ *                   property change in the root element's inline style is
+ *                   observed. The CSS and parsed styles of unchanged <link>
+ *                   and <style> nodes are cached and reused when mutations
+ *                   are observed, so only added and changed nodes are
+ *                   fetched and parsed.
+ * @param {number}   [options.watchDebounce=1] Number of milliseconds to wait
+ *                   after the last observed DOM mutation before executing the
+ *                   ponyfill (options.watch).
  * @param {function} [options.onBeforeSend] Callback before XHR is sent. Passes
  *                   1) the XHR object, 2) source node reference, and 3) the
  *                   source URL as arguments.
@@ -103,19 +179,49 @@ let cssVarsObserver = null;
  * @param {function} [options.onComplete] Callback after all CSS has been
  *                   processed, legacy-compatible CSS has been generated, and
  *                   (optionally) the DOM has been updated. Passes 1) a CSS
- *                   string with CSS variable values resolved, and 2) a
- *                   reference to the appended <style> node.
+ *                   string with CSS variable values resolved, 2) a
+ *                   reference to the appended <style> node, and 3) the source
+ *                   map object (when options.sourceMap is true).
+ * @returns {object} Controller object containing 1) "update(variables)",
+ *          which merges variables with options.variables and regenerates CSS,
+ *          2) "refresh()", which regenerates CSS, 3) "pause()" and "resume()",
+ *          which stop and resume watching for DOM mutations (options.watch),
+ *          and 4) "destroy()", which stops watching, clears persisted
+ *          variables, and removes the generated <style> node. The update(),
+ *          refresh(), and resume() methods return a Promise (rejected
+ *          after destroy()). When Promise is supported, the controller is
+ *          also a thenable with "then()", "catch()", and "finally()" methods
+ *          and a "promise" property (the Promise of the most recent run),
+ *          resolved after options.onComplete with a result object containing
+ *          "cssText", "styleNode", "sourceMap", "variables" (resolved :root
+ *          values), "warnings" (messages), and "errors" (objects containing
+ *          "message", "node", "xhr", and "url"). Promises are resolved when
+ *          CSS errors occur and rejected only when a callback throws an
+ *          error. The controller is not a Promise instance. Methods return
+ *          undefined instead of a Promise when Promise is not supported
+ *          (callbacks are unaffected).
  *
  * @example
  *
- *   cssVars({
+ *   const controller = cssVars({
  *     include      : 'style,link[rel="stylesheet"]', // default
  *     exclude      : '',
  *     fixNestedCalc: true,  // default
+ *     format       : 'compact', // default
+ *     functions    : {},    // default
+ *     id           : 'css-vars-ponyfill', // default
+ *     keepLicense  : false, // default
+ *     lossless     : false, // default
  *     onlyLegacy   : true,  // default
  *     onlyVars     : false, // default
+ *     plugins      : [],    // default
  *     preserve     : false, // default
+ *     reduceCalc   : false, // default
+ *     scopedVars   : false, // default
  *     silent       : false, // default
+ *     sourceMap    : false, // default
+ *     tolerant     : false, // default
+ *     unsetInvalid : false, // default
  *     updateDOM    : true,  // default
  *     updateURLs   : true,  // default
  *     variables    : {
@@ -133,13 +239,221 @@ let cssVarsObserver = null;
  *     onError(message, node) {
  *       // ...
  *     },
- *     onComplete(cssText, styleNode) {
+ *     onComplete(cssText, styleNode, sourceMap) {
  *       // ...
  *     }
  *   });
+ *
+ *   controller.then(result => { ... });
+ *   controller.update({ '--color': 'red' });
+ *   controller.destroy();
  */
 function cssVars(options = {}) {
-    const settings = mergeDeep(defaults, options);
+    const id = options.id || defaults.id;
+
+    let currentOptions = options;
+    let isDestroyed    = false;
+    let promise        = processCss(currentOptions);
+
+    const controller = {
+        // Updates variables and regenerates CSS
+        update(variables = {}) {
+            const newOptions = mergeDeep(currentOptions, {});
+
+            // Normalize names to avoid storing both "name" and "--name"
+            newOptions.variables = mergeDeep(normalizeVars(currentOptions.variables || {}), normalizeVars(variables));
+            currentOptions       = newOptions;
+
+            return controller.refresh();
+        },
+        // Regenerates CSS using current options. Rejects after destroy().
+        refresh() {
+            if (isDestroyed) {
+                return typeof Promise !== 'undefined' ? Promise.reject(new Error(`${pkgName}: instance "${id}" has been destroyed`)) : undefined;
+            }
+
+            promise = processCss(currentOptions);
+
+            return promise;
+        },
+        // Stops watching for DOM mutations
+        pause() {
+            if (isDestroyed) {
+                return;
+            }
+
+            const instance = getInstance(id);
+
+            if (instance.observer) {
+                instance.observer.disconnect();
+            }
+
+            clearTimeout(instance.debounceTimer);
+        },
+        // Resumes watching for DOM mutations and regenerates CSS to reflect
+        // mutations that occurred while paused
+        resume() {
+            const instance = isDestroyed ? {} : getInstance(id);
+
+            if (instance.observer) {
+                observeDocument(instance.observer);
+            }
+
+            return controller.refresh();
+        },
+        // Stops watching for DOM mutations, clears persisted variables, and
+        // removes generated CSS. Runs in progress are completed without
+        // updating the DOM.
+        destroy() {
+            const instance  = getInstance(id);
+            const styleNode = document.getElementById(id);
+            const variables = mergeDeep(defaults, currentOptions).variables;
+
+            isDestroyed        = true;
+            instance.destroyed = true;
+
+            if (instance.observer) {
+                instance.observer.disconnect();
+            }
+
+            clearTimeout(instance.debounceTimer);
+            transformCss.clearCache(id);
+            transformCss.clearPersist(id);
+            delete instances[id];
+
+            // Remove variables set using native methods
+            if (hasNativeSupport) {
+                Object.keys(variables).forEach(key => {
+                    document.documentElement.style.removeProperty(`--${key.replace(/^-+/, '')}`);
+                });
+            }
+
+            if (styleNode) {
+                styleNode.parentNode.removeChild(styleNode);
+            }
+        }
+    };
+
+    // Promise of the most recent call to cssVars(), update(), refresh(), or
+    // resume(). Undefined when Promise is not supported.
+    Object.defineProperty(controller, 'promise', {
+        enumerable: true,
+        get() {
+            return promise;
+        }
+    });
+
+    // Promise methods resolved with the result of controller.promise. Not
+    // available when Promise is not supported.
+    if (promise) {
+        controller.then = function(onFulfilled, onRejected) {
+            return promise.then(onFulfilled, onRejected);
+        };
+        controller.catch = function(onRejected) {
+            return promise.then(null, onRejected);
+        };
+        // Promise.prototype.finally() is not available in all browsers and
+        // Promise polyfills
+        controller.finally = function(onFinally) {
+            return promise.then(
+                value => Promise.resolve(onFinally()).then(() => value),
+                err => Promise.resolve(onFinally()).then(() => {
+                    throw err;
+                })
+            );
+        };
+    }
+
+    return controller;
+}
+
+
+/**
+ * Registers a custom property definition used when transforming CSS custom
+ * properties in legacy browsers. Mirrors the native CSS.registerProperty()
+ * method, which is also called (when available) in modern browsers.
+ * Registered properties take precedence over @property rules.
+ *
+ * @param {object}  descriptor
+ * @param {string}  descriptor.name Custom property name (e.g. "--my-color")
+ * @param {string}  [descriptor.syntax="*"] Syntax string (e.g. "<color>")
+ * @param {boolean} descriptor.inherits Determines if the property inherits
+ * @param {string}  [descriptor.initialValue] Initial value (required unless
+ *                  the syntax is "*")
+ *
+ * @example
+ *
+ *   cssVars.registerProperty({
+ *     name        : '--my-color',
+ *     syntax      : '<color>',
+ *     inherits    : false,
+ *     initialValue: 'red'
+ *   });
+ */
+function registerProperty(descriptor = {}) {
+    const name         = descriptor.name;
+    const syntax       = descriptor.syntax || '*';
+    const initialValue = descriptor.initialValue;
+    const errorIntro   = 'CSS registerProperty error:';
+
+    if (typeof name !== 'string' || name.indexOf('--') !== 0) {
+        throw new SyntaxError(`${errorIntro} name "${name}" is not a custom property name`);
+    }
+
+    if (registeredProperties[name]) {
+        throw new Error(`${errorIntro} "${name}" has already been registered`);
+    }
+
+    if (syntax !== '*' && (initialValue === undefined || !matchSyntax(initialValue, syntax))) {
+        throw new SyntaxError(`${errorIntro} initial value "${initialValue}" does not match syntax "${syntax}"`);
+    }
+
+    if (hasNativeSupport && window.CSS.registerProperty) {
+        window.CSS.registerProperty(descriptor);
+    }
+
+    registeredProperties[name] = {
+        syntax      : syntax,
+        inherits    : Boolean(descriptor.inherits),
+        initialValue: initialValue
+    };
+}
+
+
+// Functions (Private)
+// =============================================================================
+/**
+ * Fetches, parses, and transforms CSS custom properties (see cssVars)
+ *
+ * @param {object} options
+ * @param {boolean} [useCache=false] Reuse the CSS of unchanged <link> and
+ *                  <style> nodes cached by previous calls (options.watch)
+ * @returns {Promise|undefined} Promise resolved with a result object
+ */
+function processCss(options, useCache = false) {
+    const settings  = mergeDeep(defaults, options);
+    const instance  = getInstance(settings.id);
+    const varsRegex = settings.scopedVars ? regex.cssScopedVars : regex.cssVars;
+    const result    = {
+        cssText  : '',
+        styleNode: null,
+        sourceMap: null,
+        variables: {},
+        warnings : [],
+        errors   : []
+    };
+    const settle    = {};
+
+    let callbackError;
+    let promise;
+
+    // Promise is not available in legacy browsers without a polyfill
+    if (typeof Promise !== 'undefined') {
+        promise = new Promise((resolve, reject) => {
+            settle.resolve = resolve;
+            settle.reject  = reject;
+        });
+    }
 
     function handleError(message, sourceNode, xhr, url) {
         /* istanbul ignore next */
@@ -148,7 +462,8 @@ function cssVars(options = {}) {
             console.error(`${message}\n`, sourceNode);
         }
 
-        settings.onError(message, sourceNode, xhr, url);
+        result.errors.push({ message, node: sourceNode, xhr, url });
+        invokeCallback(settings.onError, [message, sourceNode, xhr, url]);
     }
 
     function handleWarning(message) {
@@ -158,31 +473,74 @@ function cssVars(options = {}) {
             console.warn(message);
         }
 
-        settings.onWarning(message);
+        result.warnings.push(message);
+        invokeCallback(settings.onWarning, [message]);
+    }
+
+    // Invokes a user callback and returns its value. The first error thrown
+    // by a callback is stored and rejects the promise after processing is
+    // complete.
+    function invokeCallback(callback, args = []) {
+        try {
+            return callback.apply(null, args);
+        }
+        catch(err) {
+            callbackError = callbackError || err;
+        }
+    }
+
+    // Invokes callback then resolves promise with result object. Errors
+    // thrown by the callback or previous callbacks reject the promise.
+    function handleComplete(callback) {
+        if (callback) {
+            invokeCallback(callback);
+        }
+
+        if (callbackError) {
+            if (promise) {
+                settle.reject(callbackError);
+
+                return;
+            }
+
+            throw callbackError;
+        }
+
+        if (promise) {
+            settle.resolve(result);
+        }
     }
 
     // Verify readyState to ensure all <link> and <style> nodes are available
     if (document.readyState !== 'loading') {
         // Lacks native support or onlyLegacy 'false'
         if (!hasNativeSupport || !settings.onlyLegacy) {
-            const styleNodeId = pkgName;
+            const styleNodeId = settings.id;
 
             if (settings.watch) {
-                addMutationObserver(settings, styleNodeId);
+                // Settings of the most recent run (including controller
+                // updates) are used when DOM mutations are observed
+                instance.settings = settings;
+
+                addMutationObserver(settings);
             }
 
-            getCssData({
+            // In watch mode, the CSS of unchanged <link> and <style> nodes is
+            // stored for reuse when DOM mutations are observed
+            getCachedCssData({
                 include: settings.include,
-                // Always exclude styleNodeId element, which is the generated
-                // <style> node containing previously transformed CSS.
-                exclude: `#${styleNodeId}` + (settings.exclude ? `,${settings.exclude}` : ''),
+                // Always exclude the generated <style> nodes of all instances,
+                // which contain previously transformed CSS.
+                exclude: `[${outputAttr}]` + (settings.exclude ? `,${settings.exclude}` : ''),
                 // This filter does a test on each block of CSS. An additional
                 // filter is used in the parser to remove individual
                 // declarations.
-                filter : settings.onlyVars ? regex.cssVars : null,
-                onBeforeSend: settings.onBeforeSend,
+                filter : settings.onlyVars ? varsRegex : null,
+                onBeforeSend(xhr, node, url) {
+                    invokeCallback(settings.onBeforeSend, [xhr, node, url]);
+                },
                 onSuccess(cssText, node, url) {
-                    const returnVal = settings.onSuccess(cssText, node, url);
+                    const returnVal = invokeCallback(settings.onSuccess, [cssText, node, url]);
 
                     cssText = returnVal === false ? '' : returnVal || cssText;
 
@@ -214,25 +572,76 @@ function cssVars(options = {}) {
                 onComplete(cssText, cssArray, nodeArray) {
                     const cssMarker = /\/\*__CSSVARSPONYFILL-(\d+)__\*\//g;
                     let   styleNode = null;
+                    let   sourceMap = null;
+
+                    // Instance destroyed while CSS data was being fetched.
+                    // Skip transforming CSS to avoid restoring persisted
+                    // variables and the generated <style> node.
+                    if (instance.destroyed) {
+                        handleComplete();
+
+                        return;
+                    }
 
                     // Concatenate cssArray items, replacing those that do not
                     // contain a CSS custom property declaraion or function with
                     // a temporary marker . After the CSS is transformed, the
                     // markers will be replaced with the matching cssArray item.
                     // This optimization is done to avoid processing CSS that
-                    // will not change as a results of the ponyfill.
-                    cssText = cssArray.map((css, i) => regex.cssVars.test(css) ? css : `/*__CSSVARSPONYFILL-${i}__*/`).join('');
+                    // will not change as a results of the ponyfill. Markers
+                    // are not used when generating source maps since all
+                    // output must be mapped to its source. Sources are used
+                    // to report the source, line, and column of warnings.
+                    const sources = cssArray.map((css, i) => ({
+                        name   : getSourceName(nodeArray[i], i),
+                        content: varsRegex.test(css) || settings.sourceMap ? css : `/*__CSSVARSPONYFILL-${i}__*/`
+                    }));
+                    const inlineCss = getInlineRootCss();
+
+                    // Custom properties set using the root element's inline
+                    // style are processed after all other sources
+                    if (inlineCss) {
+                        sources.push({
+                            name   : 'html[style]',
+                            content: inlineCss
+                        });
+                    }
+
+                    cssText = sources.map(source => source.content).join('');
 
                     try {
                         cssText = transformCss(cssText, {
+                            cache        : settings.watch ? styleNodeId : false,
                             fixNestedCalc: settings.fixNestedCalc,
+                            format       : settings.format,
+                            functions    : settings.functions,
+                            keepLicense  : settings.keepLicense,
+                            lossless     : settings.lossless,
                             onlyVars     : settings.onlyVars,
-                            persist      : settings.updateDOM,
+                            persist      : settings.updateDOM ? styleNodeId : false,
+                            plugins      : settings.plugins,
                             preserve     : settings.preserve,
+                            properties   : registeredProperties,
+                            reduceCalc   : settings.reduceCalc,
+                            scopedVars   : settings.scopedVars,
+                            sourceMap    : settings.sourceMap,
+                            sources      : sources,
+                            tolerant     : settings.tolerant,
+                            unsetInvalid : settings.unsetInvalid,
                             variables    : settings.variables,
-                            onWarning    : handleWarning
+                            onWarning    : handleWarning,
+                            onSourceMap(map) {
+                                sourceMap = map;
+                            },
+                            onVariables(variables) {
+                                result.variables = variables;
+                            }
                         });
 
+                        if (sourceMap) {
+                            cssText += `\n/*# sourceMappingURL=data:application/json;base64,${encodeBase64(JSON.stringify(sourceMap))} */`;
+                        }
+
                         const hasKeyframes   = regex.cssKeyframes.test(cssText);
                         let   cssMarkerMatch = cssMarker.exec(cssText);
 
@@ -248,8 +657,9 @@ function cssVars(options = {}) {
                         if (settings.updateDOM && nodeArray && nodeArray.length) {
                             const lastNode = nodeArray[nodeArray.length - 1];
 
-                            styleNode = document.querySelector(`#${styleNodeId}`) || document.createElement('style');
+                            styleNode = document.getElementById(styleNodeId) || document.createElement('style');
                             styleNode.setAttribute('id', styleNodeId);
+                            styleNode.setAttribute(outputAttr, '');
 
                             if (styleNode.textContent !== cssText) {
                                 styleNode.textContent = cssText;
@@ -272,7 +682,15 @@ function cssVars(options = {}) {
                         // responsibile for error.
                         cssArray.forEach((cssText, i) => {
                             try {
-                                cssText = transformCss(cssText, settings);
+                                cssText = transformCss(cssText, mergeDeep(settings, {
+                                    sources: [{
+                                        name   : getSourceName(nodeArray[i], i),
+                                        content: cssText
+                                    }],
+                                    onWarning(message) {
+                                        invokeCallback(settings.onWarning, [message]);
+                                    }
+                                }));
                             }
                             catch(err) {
                                 const errorNode = nodeArray[i - 0];
@@ -290,88 +708,306 @@ function cssVars(options = {}) {
                         }
                     }
 
-                    settings.onComplete(cssText, styleNode);
+                    result.cssText   = cssText;
+                    result.styleNode = styleNode;
+                    result.sourceMap = sourceMap;
+
+                    handleComplete(() => settings.onComplete(cssText, styleNode, sourceMap));
                 }
-            });
+            }, settings.watch ? instance.sourceCache : null, useCache);
         }
         // Has native support
-        else if (hasNativeSupport && settings.updateDOM) {
-            // Set variables using native methods
+        else {
             Object.keys(settings.variables).forEach(key => {
                 // Convert all property names to leading '--' style
                 const prop  = `--${key.replace(/^-+/, '')}`;
                 const value = settings.variables[key];
 
-                document.documentElement.style.setProperty(prop, value);
+                result.variables[prop] = value;
+
+                // Set variables using native methods
+                if (settings.updateDOM) {
+                    document.documentElement.style.setProperty(prop, value);
+                }
             });
+
+            handleComplete();
         }
     }
     // Delay function until DOMContentLoaded event is fired
     /* istanbul ignore next */
     else {
         document.addEventListener('DOMContentLoaded', function init(evt) {
-            cssVars(options);
-
             document.removeEventListener('DOMContentLoaded', init);
+
+            // Instance destroyed before the DOM was ready
+            if (instance.destroyed) {
+                handleComplete();
+
+                return;
+            }
+
+            const initPromise = processCss(options);
+
+            if (promise) {
+                initPromise.then(settle.resolve, settle.reject);
+            }
         });
     }
-}
 
+    return promise;
+}
 
-// Functions (Private)
-// =============================================================================
 /**
- * Creates mutation observer that executes the ponyfill when a <link> or <style>
- * DOM mutation is observed.
+ * Creates mutation observer for the instance matching settings.id that
+ * executes the ponyfill when a <link> or <style> DOM mutation, a <style> text
+ * change, or a custom property change in the root element's inline style is
+ * observed. Mutations of the generated <style> nodes of all instances are
+ * ignored. The ponyfill is executed using the settings of the instance's most
+ * recent run (instance.settings).
  *
  * @param {object} settings
- * @param {string} ignoreId
  */
-function addMutationObserver(settings, ignoreId) {
-    if (window.MutationObserver && !cssVarsObserver) {
+function addMutationObserver(settings) {
+    const instance = getInstance(settings.id);
+
+    if (window.MutationObserver && !instance.observer) {
         const isLink  = node => node.tagName === 'LINK' && (node.getAttribute('rel') || '').indexOf('stylesheet') !== -1;
-        const isStyle = node => node.tagName === 'STYLE' && (ignoreId ? node.id !== ignoreId : true);
+        const isStyle = node => Boolean(node) && node.tagName === 'STYLE' && !node.hasAttribute(outputAttr);
+        const hasVars = str => str.replace(regex.cssInlineVars, '') !== str;
 
-        let debounceTimer = null;
+        instance.observer = new MutationObserver(function(mutations) {
+            const varsRegex = instance.settings.scopedVars ? regex.cssScopedVars : regex.cssVars;
 
-        cssVarsObserver = new MutationObserver(function(mutations) {
             let isUpdateMutation = false;
 
             mutations.forEach(mutation => {
+                const target = mutation.target;
+
                 if (mutation.type === 'attributes') {
-                    isUpdateMutation = isLink(mutation.target) || isStyle(mutation.target);
+                    // Root element inline style custom properties
+                    if (mutation.attributeName === 'style') {
+                        isUpdateMutation = hasVars(mutation.oldValue || '') || hasVars(target.getAttribute('style') || '');
+                    }
+                    else {
+                        isUpdateMutation = isLink(target) || isStyle(target);
+                    }
+                }
+                // Text changes within <style> nodes
+                else if (mutation.type === 'characterData') {
+                    isUpdateMutation = isStyle(target.parentNode);
                 }
                 else if (mutation.type === 'childList') {
                     const addedNodes   = Array.apply(null, mutation.addedNodes);
                     const removedNodes = Array.apply(null, mutation.removedNodes);
 
-                    isUpdateMutation = [].concat(addedNodes, removedNodes).some(node => {
+                    addedNodes.filter(isStyle).forEach(node => {
+                        observeStyleText(instance.observer, node);
+                    });
+
+                    // Text nodes added to or removed from <style> nodes
+                    isUpdateMutation = isStyle(target) || [].concat(addedNodes, removedNodes).some(node => {
                         const isValidLink  = isLink(node) && !node.disabled;
-                        const isValidStyle = isStyle(node) && !node.disabled && regex.cssVars.test(node.textContent);
+                        const isValidStyle = isStyle(node) && !node.disabled && varsRegex.test(node.textContent);
 
                         return (isValidLink || isValidStyle);
                     });
                 }
 
                 if (isUpdateMutation) {
-                    clearTimeout(debounceTimer);
+                    clearTimeout(instance.debounceTimer);
 
-                    debounceTimer = setTimeout(function() {
-                        cssVars(settings);
-                    }, 1);
+                    instance.debounceTimer = setTimeout(function() {
+                        processCss(instance.settings, true);
+                    }, instance.settings.watchDebounce);
                 }
             });
         });
 
-        cssVarsObserver.observe(document.documentElement, {
-            attributes     : true,
-            attributeFilter: ['disabled', 'href'],
-            childList      : true,
-            subtree        : true
-        });
+        observeDocument(instance.observer);
     }
 }
 
+/**
+ * Returns a copy of a variables object with names converted to the leading
+ * double-hyphen style
+ * Example: { color: 'red', '--size': '1px' } => { '--color': 'red', '--size': '1px' }
+ *
+ * @param {object} variables
+ * @returns {object}
+ */
+function normalizeVars(variables) {
+    const normalized = {};
+
+    Object.keys(variables).forEach(key => {
+        normalized[`--${key.replace(/^-+/, '')}`] = variables[key];
+    });
+
+    return normalized;
+}
+
+/**
+ * Returns the state object of the instance matching an options.id value,
+ * creating the object if necessary
+ *
+ * @param {string} id
+ * @returns {object}
+ */
+function getInstance(id) {
+    instances[id] = instances[id] || {
+        observer     : null,
+        debounceTimer: null,
+        settings     : null,
+        sourceCache  : []
+    };
+
+    return instances[id];
+}
+
+/**
+ * Gets CSS data using getCssData, reusing the CSS of <link> and <style> nodes
+ * stored in a source cache. Cached CSS is reused for nodes whose href (<link>)
+ * or text content (<style>) is unchanged, so only added and changed nodes are
+ * fetched and passed to options.onSuccess. The cache is replaced with the CSS
+ * of all successfully processed nodes after each call.
+ *
+ * @param {object} options getCssData options
+ * @param {array} [sourceCache] Cache entries containing a node, key, and CSS.
+ *                Calls getCssData without caching when not specified.
+ * @param {boolean} [useCache=true] Reuse cached CSS (false updates the cache
+ *                  without reusing cached CSS)
+ */
+function getCachedCssData(options, sourceCache, useCache = true) {
+    if (!sourceCache) {
+        getCssData(options);
+
+        return;
+    }
+
+    const cachedAttr  = `data-${pkgName}-cached`;
+    const sourceNodes = Array.apply(null, document.querySelectorAll(options.include)).filter(node => !options.exclude || !matchesSelector(node, options.exclude));
+    const cachedNodes = useCache ? sourceNodes.filter(node => getCacheEntry(sourceCache, node)) : [];
+    const errorNodes  = [];
+
+    // Exclude cached nodes using a temporary attribute. Nodes are collected
+    // synchronously by getCssData, so the attribute is removed immediately.
+    cachedNodes.forEach(node => node.setAttribute(cachedAttr, ''));
+
+    getCssData(mergeDeep(options, {
+        exclude: `[${cachedAttr}]` + (options.exclude ? `,${options.exclude}` : ''),
+        onError(xhr, node, url) {
+            errorNodes.push(node);
+            options.onError(xhr, node, url);
+        },
+        onComplete(cssText, cssArray, nodeArray = []) {
+            const allCssArray = sourceNodes.map(node => {
+                const index = nodeArray.indexOf(node);
+
+                return index === -1 ? getCacheEntry(sourceCache, node).css : cssArray[index];
+            });
+
+            sourceCache.length = 0;
+
+            sourceNodes.forEach((node, i) => {
+                if (errorNodes.indexOf(node) === -1) {
+                    sourceCache.push({
+                        node: node,
+                        key : getCacheKey(node),
+                        css : allCssArray[i]
+                    });
+                }
+            });
+
+            options.onComplete(allCssArray.join(''), allCssArray, sourceNodes);
+        }
+    }));
+
+    cachedNodes.forEach(node => node.removeAttribute(cachedAttr));
+}
+
+/**
+ * Returns the source cache entry of a <link> or <style> node if the node's
+ * href (<link>) or text content (<style>) is unchanged, otherwise undefined
+ *
+ * @param {array} sourceCache
+ * @param {object} node
+ * @returns {object|undefined}
+ */
+function getCacheEntry(sourceCache, node) {
+    const key = getCacheKey(node);
+
+    return sourceCache.filter(entry => entry.node === node && entry.key === key)[0];
+}
+
+/**
+ * Returns the source cache key of a <link> or <style> node: the href of
+ * <link> nodes or the text content of <style> nodes
+ *
+ * @param {object} node
+ * @returns {string}
+ */
+function getCacheKey(node) {
+    return node.tagName === 'LINK' ? node.getAttribute('href') : node.textContent;
+}
+
+/**
+ * Returns true if an element matches a CSS selector
+ *
+ * @param {object} elm
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function matchesSelector(elm, selector) {
+    const matches = elm.matches || elm.matchesSelector || elm.webkitMatchesSelector || elm.mozMatchesSelector || elm.msMatchesSelector || elm.oMatchesSelector;
+
+    return matches.call(elm, selector);
+}
+
+/**
+ * Observes <link> and <style> DOM mutations, <style> text changes, and
+ * root element inline style changes using a mutation observer. Inline styles
+ * and text changes are not observed for the entire document to avoid
+ * unnecessary mutation records.
+ *
+ * @param {object} observer
+ */
+function observeDocument(observer) {
+    const styleNodes = document.querySelectorAll(`style:not([${outputAttr}])`);
+
+    // Root element inline style
+    observer.observe(document.documentElement, {
+        attributes       : true,
+        attributeFilter  : ['style'],
+        attributeOldValue: true
+    });
+
+    // <link> and <style> nodes. The document is observed because observing
+    // the root element again would replace the options above.
+    observer.observe(document, {
+        attributes     : true,
+        attributeFilter: ['disabled', 'href', 'media'],
+        childList      : true,
+        subtree        : true
+    });
+
+    for (let i = 0; i < styleNodes.length; i++) {
+        observeStyleText(observer, styleNodes[i]);
+    }
+}
+
+/**
+ * Observes text changes within a <style> node using a mutation observer
+ *
+ * @param {object} observer
+ * @param {object} node
+ */
+function observeStyleText(observer, node) {
+    observer.observe(node, {
+        characterData: true,
+        subtree      : true
+    });
+}
+
 /**
  * Fixes issue keyframe properties set using CSS custom property not being
  * applied properly in some legacy (IE) and modern (Safari) browsers.
@@ -403,6 +1039,65 @@ function fixKeyframes() {
     }
 }
 
+/**
+ * Encodes a string as Base64. Unlike window.btoa(), supports legacy browsers
+ * and characters outside of the Latin1 range.
+ *
+ * @param {string} str
+ * @returns {string}
+ */
+function encodeBase64(str) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    const bytes = unescape(encodeURIComponent(str));
+
+    let encoded = '';
+
+    for (let i = 0; i < bytes.length; i += 3) {
+        const n = (bytes.charCodeAt(i) << 16) | ((bytes.charCodeAt(i + 1) || 0) << 8) | (bytes.charCodeAt(i + 2) || 0);
+
+        encoded += chars.charAt((n >> 18) & 63) + chars.charAt((n >> 12) & 63);
+        encoded += i + 1 < bytes.length ? chars.charAt((n >> 6) & 63) : '=';
+        encoded += i + 2 < bytes.length ? chars.charAt(n & 63) : '=';
+    }
+
+    return encoded;
+}
+
+/**
+ * Returns the custom property declarations set using the root element's
+ * inline style as a :root ruleset, or an empty string if none are set
+ *
+ * @returns {string}
+ */
+function getInlineRootCss() {
+    const styleAttr = document.documentElement.getAttribute('style') || '';
+    const decls     = [];
+
+    let match;
+
+    regex.cssInlineVars.lastIndex = 0;
+
+    while ((match = regex.cssInlineVars.exec(styleAttr)) !== null) {
+        decls.push(match[1].trim());
+    }
+
+    return decls.length ? `:root{${decls.join(';')}}` : '';
+}
+
+/**
+ * Returns the source name of a <link> or <style> node: the fully
+ * qualified URL for <link> nodes or "style[index]" for <style> nodes
+ *
+ * @param {object} node
+ * @param {number} index The index of the node in the collection of sources
+ * @returns {string}
+ */
+function getSourceName(node, index) {
+    const href = node && node.tagName === 'LINK' ? node.getAttribute('href') : null;
+
+    return href ? getFullUrl(href) : `style[${index}]`;
+}
+
 /**
  * Returns fully qualified URL from relative URL and (optional) base URL
  *
@@ -426,4 +1121,7 @@ function getFullUrl(url, base = location.href) {
 
 // Export
 // =============================================================================
+cssVars.analyze          = analyzeCss;
+cssVars.registerProperty = registerProperty;
+
 export default cssVars;
@@ -0,0 +1,157 @@
+// Constants & Variables
+// =============================================================================
+// Named colors (lowercase) including currentColor and transparent
+const colorNames   = [
+    'aliceblue', 'antiquewhite', 'aqua', 'aquamarine', 'azure', 'beige',
+    'bisque', 'black', 'blanchedalmond', 'blue', 'blueviolet', 'brown',
+    'burlywood', 'cadetblue', 'chartreuse', 'chocolate', 'coral',
+    'cornflowerblue', 'cornsilk', 'crimson', 'cyan', 'darkblue', 'darkcyan',
+    'darkgoldenrod', 'darkgray', 'darkgreen', 'darkgrey', 'darkkhaki',
+    'darkmagenta', 'darkolivegreen', 'darkorange', 'darkorchid', 'darkred',
+    'darksalmon', 'darkseagreen', 'darkslateblue', 'darkslategray',
+    'darkslategrey', 'darkturquoise', 'darkviolet', 'deeppink', 'deepskyblue',
+    'dimgray', 'dimgrey', 'dodgerblue', 'firebrick', 'floralwhite',
+    'forestgreen', 'fuchsia', 'gainsboro', 'ghostwhite', 'gold', 'goldenrod',
+    'gray', 'green', 'greenyellow', 'grey', 'honeydew', 'hotpink', 'indianred',
+    'indigo', 'ivory', 'khaki', 'lavender', 'lavenderblush', 'lawngreen',
+    'lemonchiffon', 'lightblue', 'lightcoral', 'lightcyan',
+    'lightgoldenrodyellow', 'lightgray', 'lightgreen', 'lightgrey', 'lightpink',
+    'lightsalmon', 'lightseagreen', 'lightskyblue', 'lightslategray',
+    'lightslategrey', 'lightsteelblue', 'lightyellow', 'lime', 'limegreen',
+    'linen', 'magenta', 'maroon', 'mediumaquamarine', 'mediumblue',
+    'mediumorchid', 'mediumpurple', 'mediumseagreen', 'mediumslateblue',
+    'mediumspringgreen', 'mediumturquoise', 'mediumvioletred', 'midnightblue',
+    'mintcream', 'mistyrose', 'moccasin', 'navajowhite', 'navy', 'oldlace',
+    'olive', 'olivedrab', 'orange', 'orangered', 'orchid', 'palegoldenrod',
+    'palegreen', 'paleturquoise', 'palevioletred', 'papayawhip', 'peachpuff',
+    'peru', 'pink', 'plum', 'powderblue', 'purple', 'rebeccapurple', 'red',
+    'rosybrown', 'royalblue', 'saddlebrown', 'salmon', 'sandybrown', 'seagreen',
+    'seashell', 'sienna', 'silver', 'skyblue', 'slateblue', 'slategray',
+    'slategrey', 'snow', 'springgreen', 'steelblue', 'tan', 'teal', 'thistle',
+    'tomato', 'turquoise', 'violet', 'wheat', 'white', 'whitesmoke', 'yellow',
+    'yellowgreen', 'currentcolor', 'transparent'
+];
+const reNumber     = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[+-]?\\d+)?';
+const reUnits      = {
+    angle     : 'deg|grad|rad|turn',
+    length    : 'px|em|rem|ex|ch|vw|vh|vmin|vmax|cm|mm|q|in|pt|pc',
+    resolution: 'dpi|dpcm|dppx|x',
+    time      : 'ms|s'
+};
+const reCalc       = /^(?:-[a-z]+-)?calc\(.*\)$/i;
+const reFunction   = /^[-a-z]+\(.*\)$/i;
+const reIdent      = /^-?(?:[_a-z]|[^\0-\x7F]|\\.)(?:[-\w]|[^\0-\x7F]|\\.)*$/i;
+const wideKeywords = ['inherit', 'initial', 'revert', 'unset'];
+const types        = {
+    'angle'             : value => reCalc.test(value) || new RegExp(`^${reNumber}(?:${reUnits.angle})$`, 'i').test(value) || value === '0',
+    'color'             : value => /^#(?:[\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i.test(value) || /^(?:rgba?|hsla?|hwb|lab|lch|color)\(.*\)$/i.test(value) || colorNames.indexOf(value.toLowerCase()) !== -1,
+    'custom-ident'      : value => reIdent.test(value) && wideKeywords.concat('default').indexOf(value.toLowerCase()) === -1,
+    'image'             : value => /^url\(.*\)$/i.test(value) || /^(?:-[a-z]+-)?(?:repeating-)?(?:linear|radial|conic)-gradient\(.*\)$/i.test(value),
+    'integer'           : value => reCalc.test(value) || /^[+-]?\d+$/.test(value),
+    'length'            : value => reCalc.test(value) || new RegExp(`^${reNumber}(?:${reUnits.length})$`, 'i').test(value) || /^[+-]?0*\.?0+$/.test(value),
+    'length-percentage' : value => types.length(value) || types.percentage(value),
+    'number'            : value => reCalc.test(value) || new RegExp(`^${reNumber}$`, 'i').test(value),
+    'percentage'        : value => reCalc.test(value) || new RegExp(`^${reNumber}%$`, 'i').test(value),
+    'resolution'        : value => reCalc.test(value) || new RegExp(`^${reNumber}(?:${reUnits.resolution})$`, 'i').test(value),
+    'string'            : value => /^(?:"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')$/.test(value),
+    'time'              : value => reCalc.test(value) || new RegExp(`^${reNumber}(?:${reUnits.time})$`, 'i').test(value),
+    'transform-function': value => reFunction.test(value),
+    'transform-list'    : value => splitValue(value, /\s/).every(types['transform-function']),
+    'url'               : value => /^url\(.*\)$/i.test(value)
+};
+
+
+// Functions
+// =============================================================================
+/**
+ * Determines if a value matches a registered custom property syntax string as
+ * defined by the CSS Properties and Values API. Supports the universal syntax
+ * definition (*), data type names (e.g. <length>), keywords, the + (space
+ * separated) and # (comma separated) multipliers, and | combinators. Unknown
+ * data type names and CSS-wide keywords always match.
+ *
+ * @param {string} value The value to test
+ * @param {string} [syntax='*'] The syntax string
+ * @returns {boolean}
+ */
+function matchSyntax(value, syntax = '*') {
+    value  = String(value).trim();
+    syntax = syntax.trim();
+
+    if (syntax === '*' || wideKeywords.indexOf(value.toLowerCase()) !== -1) {
+        return true;
+    }
+
+    return syntax.split('|').some(component => {
+        const m = /^\s*(?:<([-\w]+)>|([^\s<>+#]+))\s*([+#]?)\s*$/.exec(component);
+
+        if (!m) {
+            return false;
+        }
+
+        const typeName   = m[1];
+        const keyword    = m[2];
+        const multiplier = m[3];
+        const isMatch    = val => typeName ? (types[typeName] ? types[typeName](val) : true) : val === keyword;
+
+        if (multiplier === '+') {
+            return splitValue(value, /\s/).every(isMatch);
+        }
+        else if (multiplier === '#') {
+            return splitValue(value, /,/).every(val => isMatch(val.trim()));
+        }
+
+        return isMatch(value);
+    });
+}
+
+
+// Functions (Private)
+// =============================================================================
+/**
+ * Splits a value on separator characters that are not inside parentheses
+ * Example: ('rotate(1deg) scale(1, 2)', /\s/) => ['rotate(1deg)', 'scale(1, 2)']
+ *
+ * @param {string} value
+ * @param {object} reSeparator RegExp matching a single separator character
+ * @returns {array}
+ */
+function splitValue(value, reSeparator) {
+    const parts = [];
+
+    let depth = 0;
+    let part  = '';
+
+    for (let i = 0; i < value.length; i++) {
+        const char = value.charAt(i);
+
+        if (char === '(') {
+            depth++;
+        }
+        else if (char === ')') {
+            depth--;
+        }
+
+        if (!depth && reSeparator.test(char)) {
+            if (part) {
+                parts.push(part);
+            }
+
+            part = '';
+        }
+        else {
+            part += char;
+        }
+    }
+
+    if (part) {
+        parts.push(part);
+    }
+
+    return parts;
+}
+
+
+// Exports
+// =============================================================================
+export default matchSyntax;
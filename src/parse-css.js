@@ -4,31 +4,242 @@
  */
 
 
+// Constants & Variables
+// =============================================================================
+// Anchored regular expressions keyed by source (see getAnchoredRegex)
+const anchoredCache = {};
+
+
 // Functions
 // =============================================================================
 /**
- * Parses CSS string and generates AST object
+ * Parses CSS string and generates AST object. Nodes include a position object
+ * containing the start and end offset, line, and column of the node as well
+ * as the source name (when options.sources is provided). Declarations with an
+ * "!important" flag have an important property set to true and a value
+ * without the flag.
  *
- * @param {string} css The CSS stringt to be converted to an AST
+ * @param {string}  css The CSS stringt to be converted to an AST
+ * @param {object}  [options] Options object
+ * @param {array}   [options.sources] Source objects containing a name and CSS
+ *                  content (e.g. { name: 'style.css', content: '...' }). The
+ *                  css must be the concatenated content of all sources. Lines
+ *                  and columns are relative to the source containing the node.
+ * @param {boolean} [options.raws=false] Store the raw text of each node in
+ *                  a raws object for lossless stringification: the text
+ *                  before the node ("before"), the opening text of blocks
+ *                  ("open"), the text before the closing bracket ("after"),
+ *                  the text of other nodes ("text"), the raw property,
+ *                  separator, value, importance, and trailing whitespace and
+ *                  comments ("afterValue") of declarations, a flag
+ *                  for empty blocks ("empty"), and a copy of the node's
+ *                  parsed values ("node") used to detect modifications.
+ * @param {boolean} [options.tolerant=false] Recover from parse errors instead
+ *                  of throwing. Errors are stored in stylesheet.errors as
+ *                  objects containing a message, location (offset, line,
+ *                  column, and source), and excerpt of the skipped CSS.
  * @returns {object}
  */
-function cssParse(css) {
-    const errors = [];
+function cssParse(css, options = {}) {
+    const cssLength     = css.length;
+    const errors        = [];
+    const lineOffsets   = [0];
+    const openOffsets   = [];
+    const sources       = options.sources && options.sources.length ? options.sources : [{ content: css }];
+    const sourceOffsets = [];
+    const tolerant      = Boolean(options.tolerant);
+
+    // Index of the next character to parse. CSS is consumed by advancing the
+    // cursor instead of slicing the string, which would copy the remaining
+    // CSS after each match.
+    let cursor = 0;
+
+    // Offsets of the first character of each line and each source
+    for (let i = 0; i < cssLength; i++) {
+        if (css[i] === '\n') {
+            lineOffsets.push(i + 1);
+        }
+    }
+
+    sources.reduce((offset, source) => {
+        sourceOffsets.push(offset);
+
+        return offset + source.content.length;
+    }, 0);
 
     // Errors
     // -------------------------------------------------------------------------
     function error(msg) {
-        throw new Error(`CSS parse error: ${msg}`);
+        const loc = location(cursor);
+        const err = new Error(`CSS parse error: ${(loc.source ? loc.source + ':' : '') + loc.line}:${loc.column} ${msg}`);
+
+        err.reason = msg;
+        err.offset = loc.offset;
+        err.line   = loc.line;
+        err.column = loc.column;
+        err.source = loc.source;
+
+        throw err;
+    }
+
+    // Call parse function and return result. In tolerant mode, errors are
+    // recorded and CSS is skipped to the next recoverable point: the next ';'
+    // or the end of the current block at the current nesting depth. Returns
+    // false when an error was recovered from.
+    function attempt(fn, isDeclaration, isCore) {
+        const restore = cursor;
+
+        try {
+            return fn();
+        }
+        catch(err) {
+            if (!tolerant || err.offset === undefined) {
+                throw err;
+            }
+
+            let depth  = 0;
+            let parens = 0;
+            let quote  = '';
+            let i      = restore;
+
+            cursor = restore;
+
+            for (; i < cssLength; i++) {
+                const char = css[i];
+
+                if (quote) {
+                    i += char === '\\' ? 1 : 0;
+                    quote = char === quote ? '' : quote;
+                }
+                else if (char === '"' || char === '\'') {
+                    quote = char;
+                }
+                else if (char === '/' && css[i + 1] === '*') {
+                    const end = css.indexOf('*/', i + 2);
+
+                    i = end === -1 ? cssLength : end + 1;
+                }
+                else if (char === '(' || char === '[') {
+                    parens++;
+                }
+                else if (char === ')' || char === ']') {
+                    parens = Math.max(parens - 1, 0);
+                }
+                else if (char === '{') {
+                    depth++;
+                }
+                else if (char === '}') {
+                    // End of parent block (stray brackets are skipped at the
+                    // stylesheet level)
+                    if (depth === 0) {
+                        i += isCore && !isDeclaration ? 1 : 0;
+                        break;
+                    }
+
+                    depth--;
+
+                    // End of rule block
+                    if (depth === 0 && !isDeclaration) {
+                        i++;
+                        break;
+                    }
+                }
+                else if (char === ';' && depth === 0 && parens === 0) {
+                    i++;
+                    break;
+                }
+            }
+
+            const excerpt = css.slice(restore, i).trim();
+
+            errors.push({
+                message: err.reason,
+                offset : err.offset,
+                line   : err.line,
+                column : err.column,
+                source : err.source,
+                excerpt: excerpt.length > 100 ? excerpt.slice(0, 100) + '...' : excerpt
+            });
+
+            cursor = i;
+
+            return false;
+        }
+    }
+
+    // Positions
+    // -------------------------------------------------------------------------
+    // Returns index of last item in sorted array less than or equal to value
+    function lastIndex(arr, value) {
+        let low  = 0;
+        let high = arr.length - 1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+
+            if (arr[mid] <= value) {
+                low = mid + 1;
+            }
+            else {
+                high = mid - 1;
+            }
+        }
+
+        return Math.max(high, 0);
+    }
+
+    // Returns offset, line, column, and source name of an offset
+    function location(offset) {
+        const sourceIndex = lastIndex(sourceOffsets, offset);
+        const sourceStart = sourceOffsets[sourceIndex];
+        const line        = lastIndex(lineOffsets, offset);
+
+        return {
+            offset: offset,
+            line  : line - lastIndex(lineOffsets, sourceStart) + 1,
+            column: offset - Math.max(lineOffsets[line], sourceStart) + 1,
+            source: sources[sourceIndex].name
+        };
+    }
+
+    // Store start location and return function that adds position to node
+    function position() {
+        const start = location(cursor);
+
+        return function(node) {
+            const end = location(cursor);
+
+            node.position = {
+                start : { offset: start.offset, line: start.line, column: start.column },
+                end   : { offset: end.offset, line: end.line, column: end.column },
+                source: start.source
+            };
+
+            return node;
+        };
     }
 
     // RegEx
     // -------------------------------------------------------------------------
-    // Match regexp and return captures
+    // Match anchored regexp at cursor and return captures without advancing
+    function peek(re) {
+        const anchoredRe = getAnchoredRegex(re);
+
+        anchoredRe.lastIndex = cursor;
+
+        const m = anchoredRe.exec(css);
+
+        // The last capture is only defined when the regexp did not match
+        if (m && m.pop() === undefined) {
+            return m;
+        }
+    }
+    // Match anchored regexp at cursor, advance cursor, and return captures
     function match(re) {
-        const m = re.exec(css);
+        const m = peek(re);
 
         if (m) {
-            css = css.slice(m[0].length);
+            cursor += m[0].length;
 
             return m;
         }
@@ -38,7 +249,14 @@ function cssParse(css) {
         match(/^\s*/);
     }
     function open() {
-        return match(/^{\s*/);
+        const offset = cursor;
+        const m      = match(/^{\s*/);
+
+        if (m) {
+            openOffsets.push(offset);
+        }
+
+        return m;
     }
     function close() {
         return match(/^}/);
@@ -49,18 +267,20 @@ function cssParse(css) {
     function comment() {
         whitespace();
 
-        if (css[0] !== '/' || css[1] !== '*') { return; }
+        if (css[cursor] !== '/' || css[cursor + 1] !== '*') { return; }
 
-        let i = 2;
+        const pos = position();
+
+        let i = cursor + 2;
         while (css[i] && (css[i] !== '*' || css[i + 1] !== '/')) { i++; }
 
         // FIXED
         if (!css[i]) { return error('end of comment is missing'); }
 
-        const str = css.slice(2, i);
-        css = css.slice(i + 2);
+        const str = css.slice(cursor + 2, i);
+        cursor = i + 2;
 
-        return { type: 'comment', comment: str };
+        return pos({ type: 'comment', comment: str });
     }
     function comments() {
         const cmnts = [];
@@ -77,7 +297,7 @@ function cssParse(css) {
     // -------------------------------------------------------------------------
     function selector() {
         whitespace();
-        while (css[0] === '}') {
+        while (css[cursor] === '}') {
             error('extra closing bracket');
         }
 
@@ -102,32 +322,106 @@ function cssParse(css) {
         match(/^([;\s]*)+/); // ignore empty declarations + whitespace
 
         const comment_regexp = /\/\*[^*]*\*+([^/*][^*]*\*+)*\//g;
+        const pos            = position();
 
-        let prop = match(/^(\*?[-#/*\\\w]+(\[[0-9a-z_-]+\])?)\s*/);
+        // Property names may contain non-ASCII characters and escapes
+        let prop = match(/^(\*?(?:[-#/*\w]|[^\0-\x7F]|\\.)+(\[[0-9a-z_-]+\])?)\s*/);
         if (!prop) { return; }
 
+        // End of property excluding trailing whitespace
+        const propEnd = cursor - prop[0].length + prop[0].replace(/\s+$/, '').length;
+
         prop = prop[0].trim();
 
         if (!match(/^:\s*/)) { return error('property missing \':\''); }
 
-        // Quotes regex repeats verbatim inside and outside parentheses
-        const val = match(/^((?:\/\*.*?\*\/|'(?:\\'|.)*?'|"(?:\\"|.)*?"|\((\s*'(?:\\'|.)*?'|"(?:\\"|.)*?"|[^)]*?)\s*\)|[^};])+)/);
+        const valStart  = cursor;
+        const val       = value();
+        const important = /\s*!\s*important$/i.exec(val);
+        const ret       = pos({ type: 'declaration', property: prop.replace(comment_regexp, ''), value: important ? val.slice(0, important.index) : val });
 
-        const ret = { type: 'declaration', property: prop.replace(comment_regexp, ''), value: val ? val[0].replace(comment_regexp, '').trim() : '' };
+        // Store "!important" flag separately from value
+        if (important) {
+            ret.important = true;
+        }
+
+        if (options.raws) {
+            // Trailing whitespace and comments are stored separately so that
+            // they are preserved when the value is modified
+            const rawText      = css.slice(valStart, cursor);
+            const rawAfter     = /(?:\s|\/\*[^*]*\*+(?:[^/*][^*]*\*+)*\/)*$/.exec(rawText)[0];
+            const rawValue     = rawText.slice(0, rawText.length - rawAfter.length);
+            const rawImportant = important ? /\s*!\s*important$/i.exec(rawValue) : null;
+
+            ret.raws = {
+                property  : css.slice(ret.position.start.offset, propEnd),
+                between   : css.slice(propEnd, valStart),
+                value     : rawImportant ? rawValue.slice(0, rawImportant.index) : rawValue,
+                important : rawImportant ? rawImportant[0] : '',
+                afterValue: rawAfter
+            };
+        }
 
         match(/^[;\s]*/);
 
         return ret;
     }
+    // Read a declaration value following CSS Syntax rules: strings, escapes,
+    // comments, and (), [], and {} blocks are consumed as a whole so that ";"
+    // and "}" only end the value outside of them. Comments are removed.
+    function value() {
+        const closers = [];
+
+        let start = cursor;
+        let val   = '';
+        let i     = cursor;
+
+        for (; i < cssLength; i++) {
+            const char = css[i];
+
+            if (char === '\\') {
+                i++;
+            }
+            // Strings end at the matching quote or an unescaped newline
+            else if (char === '"' || char === '\'') {
+                for (i++; i < cssLength && css[i] !== char && css[i] !== '\n'; i++) {
+                    i += css[i] === '\\' ? 1 : 0;
+                }
+            }
+            else if (char === '/' && css[i + 1] === '*') {
+                const end = css.indexOf('*/', i + 2);
+
+                val  += css.slice(start, i);
+                i     = end === -1 ? cssLength : end + 1;
+                start = i + 1;
+            }
+            else if (char === '(' || char === '[' || char === '{') {
+                closers.push(char === '(' ? ')' : char === '[' ? ']' : '}');
+            }
+            else if (char === closers[closers.length - 1]) {
+                closers.pop();
+            }
+            // Unmatched "}" ends the value and parent block
+            else if ((char === ';' && !closers.length) || (char === '}' && closers.indexOf('}') === -1)) {
+                break;
+            }
+        }
+
+        val += css.slice(start, Math.min(i, cssLength));
+        cursor = Math.min(i, cssLength);
+
+        return val.trim();
+    }
     function declarations() {
         if (!open()) { return error('missing \'{\''); }
 
-        let d,
-            decls = comments();
+        const decls = comments();
+
+        let d;
 
-        while ((d = declaration())) {
-            decls.push(d);
-            decls = decls.concat(comments());
+        while ((d = attempt(declaration, true)) !== undefined) {
+            if (d) { decls.push(d); }
+            decls.push.apply(decls, attempt(comments, true) || []);
         }
 
         if (!close()) { return error('missing \'}\''); }
@@ -140,6 +434,7 @@ function cssParse(css) {
     function keyframe() {
         whitespace();
 
+        const pos  = position();
         const vals = [];
 
         let m;
@@ -149,9 +444,11 @@ function cssParse(css) {
             match(/^,\s*/);
         }
 
-        if (vals.length) { return { type: 'keyframe', values: vals, declarations: declarations() }; }
+        if (vals.length) { return pos({ type: 'keyframe', values: vals, declarations: declarations() }); }
     }
     function at_keyframes() {
+        const pos = position();
+
         let m = match(/^@([-\w]+)?keyframes\s*/);
 
         if (!m) { return; }
@@ -165,80 +462,153 @@ function cssParse(css) {
 
         if (!open()) { return error('@keyframes missing \'{\''); }
 
-        let frame,
-            frames = comments();
+        const frames = comments();
+
+        let frame;
         while ((frame = keyframe())) {
             frames.push(frame);
-            frames = frames.concat(comments());
+            frames.push.apply(frames, comments());
         }
 
         if (!close()) { return error('@keyframes missing \'}\''); }
 
-        return { type: 'keyframes', name: name, vendor: vendor, keyframes: frames };
+        return pos({ type: 'keyframes', name: name, vendor: vendor, keyframes: frames });
     }
 
     // @ Rules
     // -------------------------------------------------------------------------
     function at_page() {
-        const m = match(/^@page */);
+        const pos = position();
+        const m   = match(/^@page */);
         if (m) {
             const sel = selector() || [];
-            return { type: 'page', selectors: sel, declarations: declarations() };
+            return pos({ type: 'page', selectors: sel, declarations: declarations() });
         }
     }
     function at_fontface() {
-        const m = match(/^@font-face\s*/);
-        if (m) { return { type: 'font-face', declarations: declarations() }; }
+        const pos = position();
+        const m   = match(/^@font-face\s*/);
+        if (m) { return pos({ type: 'font-face', declarations: declarations() }); }
     }
     function at_supports() {
-        const m = match(/^@supports *([^{]+)/);
-        if (m) { return { type: 'supports', supports: m[1].trim(), rules: rules() }; }
+        const pos = position();
+        const m   = match(/^@supports *([^{]+)/);
+        if (m) { return pos({ type: 'supports', supports: m[1].trim(), rules: rules() }); }
     }
     function at_host() {
-        const m = match(/^@host\s*/);
-        if (m) { return { type: 'host', rules: rules() }; }
+        const pos = position();
+        const m   = match(/^@host\s*/);
+        if (m) { return pos({ type: 'host', rules: rules() }); }
     }
     function at_media() {
-        const m = match(/^@media *([^{]+)/);
-        if (m) { return { type: 'media', media: m[1].trim(), rules: rules() }; }
+        const pos = position();
+        const m   = match(/^@media *([^{]+)/);
+        if (m) { return pos({ type: 'media', media: m[1].trim(), rules: rules() }); }
     }
     function at_custom_m() {
-        const m = match(/^@custom-media\s+(--[^\s]+)\s*([^{;]+);/);
-        if (m) { return { type: 'custom-media', name: m[1].trim(), media: m[2].trim() }; }
+        const pos = position();
+        const m   = match(/^@custom-media\s+(--[^\s]+)\s*([^{;]+);/);
+        if (m) { return pos({ type: 'custom-media', name: m[1].trim(), media: m[2].trim() }); }
+    }
+    function at_property() {
+        const pos = position();
+        const m   = match(/^@property\s+(--[^\s{]+)\s*/);
+        if (m) { return pos({ type: 'property', name: m[1], declarations: declarations() }); }
     }
     function at_document() {
-        const m = match(/^@([-\w]+)?document *([^{]+)/);
+        const pos = position();
+        const m   = match(/^@([-\w]+)?document *([^{]+)/);
         // FIXED
-        if (m) { return { type: 'document', document: m[2].trim(), vendor: m[1] ? m[1].trim() : null, rules: rules() }; }
+        if (m) { return pos({ type: 'document', document: m[2].trim(), vendor: m[1] ? m[1].trim() : null, rules: rules() }); }
     }
     function at_x() {
-        const m = match(/^@(import|charset|namespace)\s*([^;]+);/);
-        if (m) { return { type: m[1], name: m[2].trim() }; }
+        const pos = position();
+        const m   = match(/^@(import|charset|namespace)\s*([^;]+);/);
+        if (m) { return pos({ type: m[1], name: m[2].trim() }); }
+    }
+    // Unknown at-rules (e.g. @layer, @container, @counter-style) with an
+    // optional block containing either rules or declarations
+    function at_generic() {
+        const pos = position();
+        const m   = match(/^@([-\w]+)/);
+
+        if (!m) { return; }
+
+        let depth = 0;
+        let quote = null;
+        let i     = cursor;
+
+        // Find end of prelude, ignoring quoted and parenthesized "{" and ";"
+        for (; i < cssLength; i++) {
+            const char = css[i];
+
+            if (quote) {
+                if (char === '\\') { i++; }
+                else if (char === quote) { quote = null; }
+            }
+            else if (char === '"' || char === '\'') { quote = char; }
+            else if (char === '(') { depth++; }
+            else if (char === ')') { depth = Math.max(depth - 1, 0); }
+            else if (!depth && (char === '{' || char === ';' || char === '}')) { break; }
+        }
+
+        const node = { type: 'at-rule', name: m[1], prelude: css.slice(cursor, i).replace(/\/\*[\s\S]*?\*\//g, '').trim() };
+
+        cursor = i;
+
+        if (css[cursor] === '{') {
+            if (isDeclarationBlock()) {
+                node.declarations = declarations();
+            }
+            else {
+                node.rules = rules();
+            }
+        }
+        else if (!match(/^;/)) {
+            return error(`@${m[1]} missing '{' or ';'`);
+        }
+
+        return pos(node);
+    }
+    // Determine if the block following the current position contains
+    // declarations (a ";" or "}" precedes the first "{") or rules (including
+    // at-rule statements)
+    function isDeclarationBlock() {
+        const m    = peek(/^{((?:\/\*[\s\S]*?\*\/|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\([^)]*\)|\/(?!\*)|[^{};"'(/])*)([{};]?)/);
+        const text = m[1].replace(/\/\*[\s\S]*?\*\//g, '').trim();
+
+        return text !== '' && text.charAt(0) !== '@' && m[2] !== '{';
     }
     function at_rule() {
         whitespace();
-        if (css[0] === '@') { return at_keyframes() || at_supports() || at_host() || at_media() || at_custom_m() || at_page() || at_document() || at_fontface() || at_x(); }
+        if (css[cursor] === '@') { return at_keyframes() || at_supports() || at_host() || at_media() || at_custom_m() || at_property() || at_page() || at_document() || at_fontface() || at_x() || at_generic(); }
     }
 
     // Rules
     // -------------------------------------------------------------------------
     function rule() {
+        whitespace();
+
+        const pos = position();
         const sel = selector() || [];
         if (!sel.length) { error('selector missing'); }
 
         const decls = declarations();
 
-        return { type: 'rule', selectors: sel, declarations: decls };
+        return pos({ type: 'rule', selectors: sel, declarations: decls });
     }
     function rules(core) {
         if (!core && !open()) { return error('missing \'{\''); }
 
-        let node,
-            rules = comments();
+        const rules = attempt(comments, false, core) || [];
+
+        let node;
+
+        while (cursor < cssLength && (core || css[cursor] !== '}')) {
+            node = attempt(() => at_rule() || rule(), false, core);
 
-        while (css.length && (core || css[0] !== '}') && (node = at_rule() || rule())) {
-            rules.push(node);
-            rules = rules.concat(comments());
+            if (node) { rules.push(node); }
+            rules.push.apply(rules, attempt(comments, false, core) || []);
         }
 
         if (!core && !close()) { return error('missing \'}\''); }
@@ -246,7 +616,84 @@ function cssParse(css) {
         return rules;
     }
 
-    return { type: 'stylesheet', stylesheet: { rules: rules(true), errors: errors } };
+    // Raws
+    // -------------------------------------------------------------------------
+    // Add raw text to nodes between the start and end offsets of their parent
+    // block and return the end offset of the last node
+    function addRaws(nodes, start) {
+        return nodes.reduce((prevEnd, node) => {
+            const nodeStart = node.position.start.offset;
+            const nodeEnd   = node.position.end.offset;
+            const children  = node.rules || node.declarations || node.keyframes;
+            const raws      = node.raws || {};
+
+            raws.before = css.slice(prevEnd, nodeStart);
+            raws.node   = {};
+
+            // Copy parsed values to detect modifications
+            Object.keys(node).forEach(key => {
+                if (['declarations', 'keyframes', 'position', 'raws', 'rules', 'type'].indexOf(key) === -1) {
+                    raws.node[key] = Array.isArray(node[key]) ? node[key].slice() : node[key];
+                }
+            });
+
+            if (node.type === 'declaration') {
+                raws.node.important = Boolean(node.important);
+            }
+            else if (children) {
+                let openIndex = lastIndex(openOffsets, nodeStart);
+
+                if (openOffsets[openIndex] < nodeStart) {
+                    openIndex++;
+                }
+
+                const bodyStart = openOffsets[openIndex] + 1;
+
+                raws.open  = css.slice(nodeStart, bodyStart);
+                raws.after = css.slice(addRaws(children, bodyStart), nodeEnd - 1);
+                raws.empty = !children.length;
+            }
+            else {
+                raws.text = css.slice(nodeStart, nodeEnd);
+            }
+
+            node.raws = raws;
+
+            return nodeEnd;
+        }, start);
+    }
+
+    const stylesheet = { rules: rules(true), errors: errors };
+
+    if (options.raws) {
+        stylesheet.raws = { after: css.slice(addRaws(stylesheet.rules, 0)) };
+    }
+
+    return { type: 'stylesheet', stylesheet: stylesheet };
+}
+
+
+// Functions (Private)
+// =============================================================================
+/**
+ * Returns a global regular expression that matches the specified regular
+ * expression (anchored with "^") only at its lastIndex. An empty capture is
+ * appended as an alternative that matches when the expression does not,
+ * which prevents exec() from searching beyond lastIndex. Sticky ("y") flags
+ * are not used for legacy browser compatibility.
+ * Example: /^a+/ => /(?:a+)|()/g
+ *
+ * @param {object} re Regular expression beginning with "^"
+ * @returns {object}
+ */
+function getAnchoredRegex(re) {
+    const key = re.ignoreCase ? re.source + '/i' : re.source;
+
+    if (!anchoredCache[key]) {
+        anchoredCache[key] = new RegExp(`(?:${re.source.replace(/^\^/, '')})|()`, 'g' + (re.ignoreCase ? 'i' : ''));
+    }
+
+    return anchoredCache[key];
 }
 
 
@@ -0,0 +1,249 @@
+// Dependencies
+// =============================================================================
+import balanced from 'balanced-match';
+
+
+// Constants & Variables
+// =============================================================================
+const reCalcFunc = /(?:-[a-z]+-)?calc\(/i; // Match "calc(" or "-vendor-calc("
+const reNumber   = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|[a-z]+)?/i;
+const precision  = 5;
+
+
+// Functions
+// =============================================================================
+/**
+ * Reduces calc() expressions in a CSS value. Expressions that contain only
+ * compatible units (e.g. px + px, unitless * %) are evaluated to a literal
+ * value. Expressions that contain mixed units are returned as a normalized
+ * calc() expression with like units combined. Expressions that cannot be
+ * evaluated (e.g. those containing var() or other functions) are unchanged.
+ *
+ * @example
+ *
+ *   reduceCalc('calc(8px * 2 + 4px)');            // => '20px'
+ *   reduceCalc('calc(100% - 10px - (5px * 2))');  // => 'calc(100% - 20px)'
+ *   reduceCalc('translate(calc(2em / 4), 0)');    // => 'translate(0.5em, 0)'
+ *
+ * @param {string} value The CSS value to reduce
+ * @returns {string}
+ */
+function reduceCalc(value) {
+    let calcMatch;
+    let newValue = '';
+
+    while ((calcMatch = reCalcFunc.exec(value)) !== null) {
+        const parenMatch = balanced('(', ')', value.slice(calcMatch.index));
+
+        if (!parenMatch) {
+            break;
+        }
+
+        const calcFunc = value.substr(calcMatch.index, parenMatch.end + 1);
+        const result   = evaluate(parenMatch.body);
+
+        newValue += value.slice(0, calcMatch.index) + (result ? stringifyTerms(result) : calcFunc);
+        value     = parenMatch.post;
+    }
+
+    return newValue + value;
+}
+
+
+// Functions (Private)
+// =============================================================================
+/**
+ * Evaluates a calc() expression and returns a map of units and their combined
+ * values (unitless values use an empty string as their unit), or null if the
+ * expression cannot be evaluated.
+ *
+ * @param {string} expression The calc() expression without the calc keyword
+ * @returns {object|null}
+ */
+function evaluate(expression) {
+    const tokens = tokenize(expression);
+
+    let index = 0;
+
+    function parseSum() {
+        let terms = parseProduct();
+
+        while (terms && (tokens[index] === '+' || tokens[index] === '-')) {
+            const operator = tokens[index++];
+            const operand  = parseProduct();
+
+            terms = operand ? addTerms(terms, operand, operator === '-' ? -1 : 1) : null;
+        }
+
+        return terms;
+    }
+
+    function parseProduct() {
+        let terms = parseOperand();
+
+        while (terms && (tokens[index] === '*' || tokens[index] === '/')) {
+            const operator = tokens[index++];
+            const operand  = parseOperand();
+
+            terms = operand ? multiplyTerms(terms, operand, operator === '/') : null;
+        }
+
+        return terms;
+    }
+
+    function parseOperand() {
+        const token = tokens[index++];
+
+        if (token === '(') {
+            const terms = parseSum();
+
+            return tokens[index++] === ')' ? terms : null;
+        }
+
+        if (token && typeof token === 'object') {
+            return token;
+        }
+
+        return null;
+    }
+
+    if (!tokens) {
+        return null;
+    }
+
+    const result = parseSum();
+
+    return index === tokens.length ? result : null;
+}
+
+/**
+ * Converts a calc() expression to an array of operators, parenthesis, and
+ * unit maps (numeric values), or null if the expression contains unsupported
+ * tokens. Nested calc() functions are treated as parenthesis.
+ *
+ * @param {string} expression The calc() expression
+ * @returns {array|null}
+ */
+function tokenize(expression) {
+    const tokens = [];
+
+    let str = expression.trim();
+
+    while (str.length) {
+        const prevToken   = tokens[tokens.length - 1];
+        const isOperand   = !prevToken || typeof prevToken === 'string' && prevToken !== ')';
+        const calcMatch   = /^(?:-[a-z]+-)?calc\(/i.exec(str);
+        const numberMatch = isOperand ? reNumber.exec(str) : null;
+
+        if (calcMatch) {
+            tokens.push('(');
+            str = str.slice(calcMatch[0].length);
+        }
+        else if (numberMatch) {
+            const terms = {};
+
+            terms[(numberMatch[2] || '').toLowerCase()] = parseFloat(numberMatch[1]);
+            tokens.push(terms);
+            str = str.slice(numberMatch[0].length);
+        }
+        else if ('+-*/()'.indexOf(str.charAt(0)) !== -1) {
+            tokens.push(str.charAt(0));
+            str = str.slice(1);
+        }
+        else {
+            return null;
+        }
+
+        str = str.replace(/^\s+/, '');
+    }
+
+    return tokens;
+}
+
+/**
+ * Adds or subtracts two unit maps. Returns null when unitless values are
+ * combined with dimensions.
+ *
+ * @param {object} a The first unit map
+ * @param {object} b The second unit map
+ * @param {number} sign 1 to add or -1 to subtract
+ * @returns {object|null}
+ */
+function addTerms(a, b, sign) {
+    const terms = {};
+
+    Object.keys(a).forEach(unit => {
+        terms[unit] = a[unit];
+    });
+
+    Object.keys(b).forEach(unit => {
+        terms[unit] = (terms[unit] || 0) + sign * b[unit];
+    });
+
+    return '' in terms && Object.keys(terms).length > 1 ? null : terms;
+}
+
+/**
+ * Multiplies or divides two unit maps. Returns null when neither value is
+ * unitless or when dividing by a dimension or zero.
+ *
+ * @param {object} a The first unit map
+ * @param {object} b The second unit map
+ * @param {boolean} isDivision Divide instead of multiply
+ * @returns {object|null}
+ */
+function multiplyTerms(a, b, isDivision) {
+    const isNumber = terms => Object.keys(terms).length === 1 && '' in terms;
+    const terms    = {};
+
+    if (isDivision && (!isNumber(b) || b[''] === 0)) {
+        return null;
+    }
+
+    if (!isNumber(a) && !isNumber(b)) {
+        return null;
+    }
+
+    const factor = isNumber(b) ? b[''] : a[''];
+    const source = isNumber(b) ? a : b;
+
+    Object.keys(source).forEach(unit => {
+        terms[unit] = isDivision ? source[unit] / factor : source[unit] * factor;
+    });
+
+    return terms;
+}
+
+/**
+ * Converts a unit map to a CSS value. Multiple units are returned as a
+ * normalized calc() expression.
+ *
+ * @param {object} terms The unit map
+ * @returns {string}
+ */
+function stringifyTerms(terms) {
+    const units       = Object.keys(terms);
+    const formatValue = num => String(parseFloat(num.toFixed(precision)));
+    const nonZero     = units.filter(unit => parseFloat(terms[unit].toFixed(precision)) !== 0);
+
+    if (nonZero.length <= 1) {
+        const unit = nonZero[0] || units[0];
+
+        return formatValue(terms[unit]) + unit;
+    }
+
+    return 'calc(' + nonZero.map((unit, i) => {
+        const num = terms[unit];
+
+        if (i === 0) {
+            return formatValue(num) + unit;
+        }
+
+        return (num < 0 ? ' - ' : ' + ') + formatValue(Math.abs(num)) + unit;
+    }).join('') + ')';
+}
+
+
+// Exports
+// =============================================================================
+export default reduceCalc;
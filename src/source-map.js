@@ -0,0 +1,178 @@
+// Constants & Variables
+// =============================================================================
+const base64Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+
+// Functions
+// =============================================================================
+/**
+ * Generates a version 3 source map object
+ *
+ * @example
+ *
+ *   createSourceMap('p{color:red;}', [{ generated: 0, original: 0 }], [
+ *     { name: 'style.css', content: 'p { color: red; }' }
+ *   ]);
+ *   // => { version: 3, sources: ['style.css'], mappings: 'AAAA', ... }
+ *
+ * @param {string} css The generated CSS
+ * @param {array}  mappings Array of objects containing generated and original
+ *                 offsets (e.g. { generated: 10, original: 42 })
+ * @param {array}  sources Array of source objects (e.g. { name, content }).
+ *                 Original offsets reference the concatenated source content.
+ * @param {string} [file] The generated file name
+ * @returns {object}
+ */
+function createSourceMap(css, mappings, sources, file) {
+    const generatedLines = getLineOffsets(css);
+    const sourceOffsets  = [];
+    const sourceLines    = sources.map(source => getLineOffsets(source.content));
+    const mappingLines   = [];
+    const prev           = { source: 0, line: 0, column: 0 };
+
+    // Offsets of each source in the concatenated source content
+    sources.reduce((offset, source) => {
+        sourceOffsets.push(offset);
+
+        return offset + source.content.length;
+    }, 0);
+
+    if (!sources.length) {
+        mappings = [];
+    }
+
+    mappings
+        .slice()
+        .sort((a, b) => a.generated - b.generated)
+        .forEach(mapping => {
+            const generated   = getLineColumn(generatedLines, mapping.generated);
+            const sourceIndex = Math.max(getIndex(sourceOffsets, mapping.original), 0);
+            const original    = getLineColumn(sourceLines[sourceIndex], mapping.original - sourceOffsets[sourceIndex]);
+
+            while (mappingLines.length <= generated.line) {
+                mappingLines.push([]);
+            }
+
+            const segments   = mappingLines[generated.line];
+            const prevColumn = segments.length ? segments[segments.length - 1].column : 0;
+
+            // Skip duplicate segments
+            if (segments.length && prevColumn === generated.column) {
+                return;
+            }
+
+            segments.push({
+                column: generated.column,
+                value : encodeVLQ(generated.column - prevColumn) +
+                    encodeVLQ(sourceIndex - prev.source) +
+                    encodeVLQ(original.line - prev.line) +
+                    encodeVLQ(original.column - prev.column)
+            });
+
+            prev.source = sourceIndex;
+            prev.line   = original.line;
+            prev.column = original.column;
+        });
+
+    return {
+        version       : 3,
+        file          : file || '',
+        sources       : sources.map(source => source.name),
+        sourcesContent: sources.map(source => source.content),
+        names         : [],
+        mappings      : mappingLines.map(segments => segments.map(segment => segment.value).join(',')).join(';')
+    };
+}
+
+
+// Functions (Private)
+// =============================================================================
+/**
+ * Encodes a number as a Base64 VLQ string
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+function encodeVLQ(value) {
+    let vlq     = value < 0 ? ((-value) << 1) + 1 : value << 1;
+    let encoded = '';
+
+    do {
+        let digit = vlq & 31;
+
+        vlq >>>= 5;
+
+        if (vlq > 0) {
+            digit |= 32;
+        }
+
+        encoded += base64Chars.charAt(digit);
+    } while (vlq > 0);
+
+    return encoded;
+}
+
+/**
+ * Returns the index of the last item in a sorted array of numbers that is
+ * less than or equal to the specified value
+ *
+ * @param {array} arr
+ * @param {number} value
+ * @returns {number}
+ */
+function getIndex(arr, value) {
+    let low  = 0;
+    let high = arr.length - 1;
+
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+
+        if (arr[mid] <= value) {
+            low = mid + 1;
+        }
+        else {
+            high = mid - 1;
+        }
+    }
+
+    return high;
+}
+
+/**
+ * Returns the zero-based line and column of an offset
+ *
+ * @param {array} lineOffsets Offsets of the first character of each line
+ * @param {number} offset
+ * @returns {object}
+ */
+function getLineColumn(lineOffsets, offset) {
+    const line = Math.max(getIndex(lineOffsets, offset), 0);
+
+    return {
+        line  : line,
+        column: offset - lineOffsets[line]
+    };
+}
+
+/**
+ * Returns the offsets of the first character of each line in a string
+ *
+ * @param {string} str
+ * @returns {array}
+ */
+function getLineOffsets(str) {
+    const offsets = [0];
+
+    for (let i = 0; i < str.length; i++) {
+        if (str.charAt(i) === '\n') {
+            offsets.push(i + 1);
+        }
+    }
+
+    return offsets;
+}
+
+
+// Exports
+// =============================================================================
+export default createSourceMap;
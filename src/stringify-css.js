@@ -4,97 +4,337 @@
  */
 
 
+// Dependencies
+// =============================================================================
+import createSourceMap from './source-map';
+import mergeDeep       from './merge-deep';
+
+
+// Constants & Variables
+// =============================================================================
+const formats = {
+    // p{color:red;}
+    compact: {
+        collapseSpace: false,
+        indent       : '',
+        lastSemicolon: true,
+        newline      : '',
+        selectorDelim: ',',
+        space        : ''
+    },
+    // p{color:red}
+    minify: {
+        collapseSpace: true,
+        indent       : '',
+        lastSemicolon: false,
+        newline      : '',
+        selectorDelim: ',',
+        space        : ''
+    },
+    // p {
+    //   color: red;
+    // }
+    pretty: {
+        collapseSpace: false,
+        indent       : '  ',
+        lastSemicolon: true,
+        newline      : '\n',
+        selectorDelim: ',\n',
+        space        : ' '
+    }
+};
+
+
 // Functions
 // =============================================================================
 /**
  * Compiles CSS AST to string
  *
- * @param {object}   tree CSS AST object
- * @param {string}   [delim=''] CSS rule delimiter
- * @param {function} cb Function to be called before each node is processed
+ * @param {object}        tree CSS AST object
+ * @param {object|string} [options] Options object or CSS rule delimiter
+ * @param {string}        [options.delim=''] CSS rule delimiter
+ * @param {object|string} [options.format='compact'] Output format name
+ *                        ("compact", "minify", or "pretty") or object
+ *                        containing format settings that override the compact
+ *                        format: "collapseSpace" (collapse whitespace in
+ *                        selectors and values), "indent" (string per nesting
+ *                        level), "lastSemicolon" (terminate last declaration
+ *                        in a block), "newline" (string between nodes),
+ *                        "selectorDelim" (string between selectors), and
+ *                        "space" (string before "{" and after ":"). Ignored
+ *                        in lossless mode.
+ * @param {boolean}       [options.keepLicense=false] Retain license comments
+ *                        (comments beginning with "/*!")
+ * @param {boolean}       [options.lossless=false] Reproduce the original CSS
+ *                        text, including whitespace and comments, for nodes
+ *                        parsed with the "raws" option. Modified values and
+ *                        nodes without raws are compiled normally.
+ * @param {boolean}       [options.sourceMap=false] Generates a source map
+ *                        using the position of each node
+ * @param {array}         [options.sources] Source objects containing a name
+ *                        and the CSS content (e.g. { name, content }) that
+ *                        node positions reference.
+ * @param {function}      [options.onSourceMap] Callback after the source map
+ *                        has been generated. Passes 1) the source map object
+ *                        as an argument.
+ * @param {function}      cb Function to be called before each node is processed
  * @returns {string}
  */
-function stringifyCss(tree, delim = '', cb) {
+function stringifyCss(tree, options = {}, cb) {
+    const settings = typeof options === 'string' ? { delim: options } : options;
+    const delim    = settings.delim || '';
+    const format   = settings.lossless ? formats.compact : getFormat(settings.format);
+    const mappings = [];
+
+    let buf     = '';
+    let depth   = -1;
+    let declEnd = -1;
+
     const renderMethods = {
+        'at-rule'(node) {
+            const block = node.rules || node.declarations;
+
+            if (block) {
+                open('@' + node.name + (node.prelude ? ' ' + collapse(node.prelude) : ''), node);
+                close(node, visit(block));
+            }
+            else {
+                emit('@' + node.name + (node.prelude ? ' ' + collapse(node.prelude) : '') + ';', node);
+            }
+        },
         charset(node) {
-            return '@charset ' + node.name + ';';
+            emit('@charset ' + node.name + ';', node);
         },
         comment(node) {
-            // Preserve ponyfill marker comments
-            return node.comment.indexOf('__CSSVARSPONYFILL') === 0 ? '/*' + node.comment + '*/' : '';
+            const isMarker  = node.comment.indexOf('__CSSVARSPONYFILL') === 0;
+            const isLicense = node.comment.charAt(0) === '!';
+
+            // Preserve ponyfill marker comments and optionally all comments
+            // (lossless) or license comments
+            if (isMarker || settings.lossless || (settings.keepLicense && isLicense)) {
+                emit('/*' + node.comment + '*/', node);
+            }
         },
         'custom-media'(node) {
-            return '@custom-media ' + node.name + ' ' + node.media + ';';
+            emit('@custom-media ' + node.name + ' ' + collapse(node.media) + ';', node);
         },
         declaration(node) {
-            return node.property + ':' + node.value + ';';
+            emit(node.property + ':' + format.space + collapse(node.value) + (node.important ? '!important' : '') + ';', node);
+
+            declEnd = buf.length;
         },
         document(node) {
-            return '@' + (node.vendor || '') + 'document ' + node.document + '{' + visit(node.rules) + '}';
+            open('@' + (node.vendor || '') + 'document ' + collapse(node.document), node);
+            close(node, visit(node.rules));
         },
         'font-face'(node) {
-            return '@font-face' + '{' + visit(node.declarations) + '}';
+            open('@font-face', node);
+            close(node, visit(node.declarations));
         },
         host(node) {
-            return '@host' + '{' + visit(node.rules) + '}';
+            open('@host', node);
+            close(node, visit(node.rules));
         },
         import(node) {
             // FIXED
-            return '@import ' + node.name + ';';
+            emit('@import ' + node.name + ';', node);
         },
         keyframe(node) {
-            return node.values.join(',') + '{' + visit(node.declarations) + '}';
+            open(node.values.join(',' + format.space), node);
+            close(node, visit(node.declarations));
         },
         keyframes(node) {
-            return '@' + (node.vendor || '') + 'keyframes ' + node.name + '{' + visit(node.keyframes) + '}';
+            open('@' + (node.vendor || '') + 'keyframes ' + node.name, node);
+            close(node, visit(node.keyframes));
         },
         media(node) {
-            return '@media ' + node.media + '{' + visit(node.rules) + '}';
+            open('@media ' + collapse(node.media), node);
+            close(node, visit(node.rules));
         },
         namespace(node) {
-            return '@namespace ' + node.name + ';';
+            emit('@namespace ' + node.name + ';', node);
         },
         page(node) {
-            return '@page ' + (node.selectors.length ? node.selectors.join(', ') : '') + '{' + visit(node.declarations) + '}';
+            open('@page ' + (node.selectors.length ? node.selectors.join(', ') : ''), node);
+            close(node, visit(node.declarations));
+        },
+        property(node) {
+            open('@property ' + node.name, node);
+            close(node, visit(node.declarations));
         },
         rule(node) {
             const decls = node.declarations;
 
-            if (decls.length) {
-                return node.selectors.join(',') + '{' + visit(decls) + '}';
+            // Empty rules are removed unless empty when parsed (lossless)
+            if (decls.length || (settings.lossless && node.raws && node.raws.empty)) {
+                // Selectors following a newline delimiter are indented
+                open(node.selectors.map(collapse).join(format.selectorDelim.replace(/\n/g, '\n' + getIndent())), node);
+                close(node, visit(decls));
             }
         },
         supports(node) {
             // FIXED
-            return '@supports ' + node.supports + '{' + visit(node.rules) + '}';
+            open('@supports ' + collapse(node.supports), node);
+            close(node, visit(node.rules));
         }
     };
 
+    // Append text to buffer and store mapping of node position. The opening
+    // text of a node is replaced with its raw text in lossless mode.
+    function emit(txt, node) {
+        if (settings.lossless && node && node.raws) {
+            txt = getRawText(node, txt);
+        }
+
+        if (settings.sourceMap && node && node.position) {
+            mappings.push({
+                generated: buf.length,
+                original : node.position.start.offset
+            });
+        }
+
+        buf += txt;
+    }
+
+    // Append opening text and bracket
+    function open(txt, node) {
+        emit(txt + format.space + '{', node);
+    }
+
+    // Append closing bracket (preceded by raw text in lossless mode or a
+    // newline and indentation when the block has output)
+    function close(node, hasOutput) {
+        if (settings.lossless && node.raws) {
+            emit(node.raws.after);
+        }
+
+        // Remove semicolon following last declaration
+        if (!format.lastSemicolon && declEnd === buf.length) {
+            buf = buf.slice(0, -1);
+        }
+
+        declEnd = -1;
+
+        emit((hasOutput ? format.newline + getIndent() : '') + '}');
+    }
+
+    // Returns text with whitespace collapsed (minify format)
+    function collapse(txt) {
+        return format.collapseSpace ? collapseSpace(txt) : txt;
+    }
+
+    // Returns indentation for current nesting level
+    function getIndent() {
+        return new Array(depth + 1).join(format.indent);
+    }
+
+    // Returns raw text of a node, using compiled text for modified values
+    function getRawText(node, txt) {
+        const raws = node.raws;
+
+        if (node.type === 'declaration') {
+            return (node.property === raws.node.property ? raws.property : node.property) +
+                raws.between +
+                (node.value === raws.node.value ? raws.value : node.value) +
+                (Boolean(node.important) === raws.node.important ? raws.important : node.important ? '!important' : '') +
+                (raws.afterValue || '');
+        }
+
+        const isModified = Object.keys(raws.node).some(key => String(node[key]) !== String(raws.node[key]));
+
+        return isModified ? txt : raws.open || raws.text;
+    }
+
     function visit(nodes) {
-        let buf = '';
+        let hasOutput = false;
+
+        depth++;
 
         for (let i = 0; i < nodes.length; i++) {
-            const n = nodes[i];
+            const n             = nodes[i];
+            const bufLength     = buf.length;
+            const mappingLength = mappings.length;
 
             if (cb) {
                 cb(n);
             }
 
-            const txt = renderMethods[n.type](n);
+            // Raw text preceding node. Separators (";") are removed before
+            // the first node with output.
+            if (settings.lossless && n.raws) {
+                emit(hasOutput ? n.raws.before : n.raws.before.replace(/;/g, ''));
+            }
+            // Newline and indentation preceding node
+            else {
+                buf += (buf.length ? format.newline : '') + getIndent();
+            }
+
+            const renderLength = buf.length;
+
+            renderMethods[n.type](n);
 
-            if (txt) {
-                buf += txt;
+            // Remove raw text preceding nodes without output
+            if (buf.length === renderLength) {
+                buf = buf.slice(0, bufLength);
+                mappings.length = mappingLength;
+            }
+            else {
+                hasOutput = true;
+            }
 
-                if (txt.length && n.selectors) {
-                    buf += delim;
-                }
+            if (buf.length > bufLength && n.selectors && !settings.lossless) {
+                buf += delim;
             }
         }
 
-        return buf;
+        depth--;
+
+        return hasOutput;
+    }
+
+    visit(tree.stylesheet.rules);
+
+    if (settings.lossless && tree.stylesheet.raws) {
+        emit(tree.stylesheet.raws.after);
     }
 
-    return visit(tree.stylesheet.rules);
+    if (settings.sourceMap && settings.onSourceMap) {
+        settings.onSourceMap(createSourceMap(buf, mappings, settings.sources || []));
+    }
+
+    return buf;
+}
+
+
+// Functions (Private)
+// =============================================================================
+/**
+ * Returns format settings for a format name or settings object
+ *
+ * @param {object|string} [format='compact']
+ * @returns {object}
+ */
+function getFormat(format) {
+    if (format && typeof format === 'object') {
+        return mergeDeep(formats.compact, format);
+    }
+
+    return formats[format] || formats.compact;
+}
+
+/**
+ * Collapses whitespace outside of strings and removes whitespace that is not
+ * required to separate tokens (surrounding commas and within parenthesis)
+ * Example: 'rgba( 0, 0,  0, 0.5 )' => 'rgba(0,0,0,0.5)'
+ *
+ * @param {string} txt
+ * @returns {string}
+ */
+function collapseSpace(txt) {
+    return txt
+        .replace(/("(?:\\[\s\S]|[^"\\])*"|'(?:\\[\s\S]|[^'\\])*')|\s+/g, (match, str) => str || ' ')
+        .replace(/("(?:\\[\s\S]|[^"\\])*"|'(?:\\[\s\S]|[^'\\])*')|\s*(,)\s*|(\()\s+|\s+(\))/g, (match, str, comma, openParen, closeParen) => str || comma || openParen || closeParen)
+        .trim();
 }
 
 
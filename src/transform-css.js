@@ -6,16 +6,20 @@
 
 // Dependencies
 // =============================================================================
-import balanced     from 'balanced-match';
-import mergeDeep    from './merge-deep';
-import parseCss     from './parse-css';
-import stringifyCss from './stringify-css';
-import walkCss      from './walk-css';
+import balanced      from 'balanced-match';
+import getUnsetValue from './get-unset-value';
+import matchSyntax   from './match-syntax';
+import mergeDeep     from './merge-deep';
+import parseCss      from './parse-css';
+import reduceCalc    from './reduce-calc';
+import stringifyCss  from './stringify-css';
+import walkCss       from './walk-css';
 
 
 // Constants & Variables
 // =============================================================================
-const persistStore        = {};
+const cacheStores         = {};
+const persistStores       = {};
 const VAR_PROP_IDENTIFIER = '--';
 const VAR_FUNC_IDENTIFIER = 'var';
 
@@ -28,77 +32,379 @@ const VAR_FUNC_IDENTIFIER = 'var';
  *
  * @param {object}   cssText CSS containing variable definitions and functions
  * @param {object}   [options] Options object
+ * @param {boolean|string} [options.cache=false] Caches the AST of each source
+ *                   (options.sources), allowing sources with unchanged
+ *                   content to be copied from the cache instead of parsed in
+ *                   subsequent calls. Sources are parsed separately and must
+ *                   each contain complete rules. A string value is used as a
+ *                   key to isolate cached ASTs from calls using other keys.
  * @param {boolean}  [options.fixNestedCalc=true] Removes nested 'calc' keywords
  *                   for legacy browser compatibility.
+ * @param {object}   [options.functions={}] Custom value functions (name:
+ *                   function) evaluated after variables have been resolved
+ *                   (e.g. { alpha(color, amount) { ... } }). Each function is
+ *                   passed the function's arguments as strings and returns
+ *                   the resolved value. Calls that return a value other than
+ *                   a string or number, or throw an error, are unchanged and
+ *                   passed to options.onWarning.
+ * @param {object|string} [options.format='compact'] Output format name
+ *                   ("compact", "minify", or "pretty") or object containing
+ *                   format settings (see stringifyCss).
+ * @param {boolean}  [options.keepLicense=false] Retain license comments
+ *                   (comments beginning with "/*!") in the return value.
+ * @param {boolean}  [options.lossless=false] Retain the original whitespace,
+ *                   comments, and formatting of the CSS in the return value,
+ *                   changing only the values of transformed declarations.
  * @param {boolean}  [options.onlyVars=true] Remove declarations that do not
  *                   contain a CSS variable from the return value. Note that
  *                   @font-face and @keyframe rules require all declarations to
  *                   be returned if a CSS variable is used.
- * @param {boolean}  [options.persist=false] Persists options.variables,
+ * @param {array}    [options.plugins=[]] Plugin objects containing "before"
+ *                   and/or "after" functions called in order before and after
+ *                   variables are resolved. Each function is passed 1) the
+ *                   CSS AST and 2) a helper object containing "walk" (invokes
+ *                   a function with each declarations array, its parent
+ *                   node, and its rule) and "walkDecls" (invokes a function
+ *                   with each declaration and its rule) methods and the
+ *                   "options" used for the transformation.
+ * @param {boolean|string} [options.persist=false] Persists options.variables,
  *                   allowing variables set in previous calls to be applied in
- *                   subsequent calls.
+ *                   subsequent calls. A string value is used as a key to
+ *                   isolate persisted variables from calls using other keys.
  * @param {boolean}  [options.preserve=false] Preserve CSS variable definitions
  *                   and functions in the return value, allowing "live" variable
  *                   updates via JavaScript to continue working in browsers with
  *                   native CSS variable support.
+ * @param {object}   [options.properties={}] Registered custom property
+ *                   definitions (name: { syntax, inherits, initialValue }).
+ *                   Merged with and takes precedence over @property rules.
+ * @param {boolean}  [options.reduceCalc=false] Evaluates calc() expressions
+ *                   with compatible units to static values and combines like
+ *                   units in mixed-unit expressions for legacy browser
+ *                   compatibility.
+ * @param {boolean}  [options.scopedVars=false] Resolve variables declared on
+ *                   selectors other than :root by generating additional rules
+ *                   for selectors that consume them.
+ * @param {boolean}  [options.sourceMap=false] Generate a source map that maps
+ *                   the returned CSS to the original cssText or
+ *                   options.sources. Passed to options.onSourceMap.
+ * @param {array}    [options.sources] Source objects containing a name and
+ *                   CSS content (e.g. { name: 'style.css', content: '...' })
+ *                   used to generate the source map and to prefix warnings
+ *                   with the source, line, and column of the related CSS. The
+ *                   cssText must be the concatenated content of all sources.
+ * @param {boolean}  [options.tolerant=false] Recover from CSS parse errors by
+ *                   skipping invalid CSS instead of throwing an error. Each
+ *                   skipped error is passed to options.onWarning.
+ * @param {boolean}  [options.unsetInvalid=false] Resolve declarations that
+ *                   reference undefined variables without a fallback to
+ *                   "inherit" (inherited properties) or the property's initial
+ *                   value, mirroring how browsers handle values that are
+ *                   invalid at computed-value time.
  * @param {object}   [options.variables={}] CSS variable definitions to include
  *                   during transformation. Can be used to add new override
  *                   exisitng definitions.
  * @param {function} [options.onWarning] Callback on each transformation
  *                   warning. Passes 1) warningMessage as an argument.
+ * @param {function} [options.onSourceMap] Callback after the source map has
+ *                   been generated. Passes 1) the source map object as an
+ *                   argument.
+ * @param {function} [options.onVariables] Callback after :root variables have
+ *                   been resolved. Passes 1) an object containing variable
+ *                   names and resolved values as an argument.
  * @returns {string}
  */
 function transformVars(cssText, options = {}) {
     const defaults = {
+        cache        : false,
         fixNestedCalc: true,
+        format       : 'compact',
+        functions    : {},
+        keepLicense  : false,
+        lossless     : false,
         onlyVars     : true,
         persist      : false,
+        plugins      : [],
         preserve     : false,
+        properties   : {},
+        reduceCalc   : false,
+        scopedVars   : false,
+        sourceMap    : false,
+        sources      : [],
+        tolerant     : false,
+        unsetInvalid : false,
         variables    : {},
-        onWarning() {}
+        onWarning() {},
+        onSourceMap() {},
+        onVariables() {}
     };
-    const map       = {};
-    const settings  = mergeDeep(defaults, options);
-    const varSource = settings.persist ? persistStore : settings.variables;
+    const map          = {};
+    const customMedia  = {};
+    const definitions  = [];
+    const layerTree    = { name: '', layers: [] };
+    const registry     = {};
+    const reported     = {};
+    const rootOrder    = {};
+    const scopes       = [];
+    const settings     = mergeDeep(defaults, options);
+    const persistStore = settings.persist ? getStore(persistStores, settings.persist) : null;
+    const varSource    = settings.persist ? persistStore : settings.variables;
+
+    let anonLayers = 0;
+    let ruleOrder  = 0;
 
     // Convert cssText to AST (this could throw errors)
-    const cssTree = parseCss(cssText);
+    const cssTree = settings.cache && settings.sources.length ? parseSources(settings) : parseCss(cssText, {
+        raws    : settings.lossless,
+        sources : settings.sources,
+        tolerant: settings.tolerant
+    });
+
+    // Report recovered parse errors
+    cssTree.stylesheet.errors.forEach(err => {
+        settings.onWarning(`CSS parse warning: ${getLocation({ start: err, source: err.source })}${err.message}; skipped "${err.excerpt}"`);
+    });
+
+    // Plugins (before variable resolution)
+    runPlugins('before', cssTree, settings);
+
+    // Register @property rules. Properties registered via JavaScript
+    // (options.properties) take precedence over @property rules.
+    cssTree.stylesheet.rules = cssTree.stylesheet.rules.filter(rule => {
+        if (rule.type !== 'property') {
+            return true;
+        }
+
+        const descriptors = {};
+
+        rule.declarations.forEach(decl => {
+            if (decl.type === 'declaration') {
+                descriptors[decl.property] = decl.value;
+            }
+        });
+
+        registry[rule.name] = {
+            syntax      : (descriptors.syntax || '*').replace(/^(['"])(.*)\1$/, '$2'),
+            inherits    : descriptors.inherits === 'true',
+            initialValue: descriptors['initial-value']
+        };
+
+        return settings.preserve;
+    });
+
+    Object.keys(settings.properties).forEach(name => {
+        registry[name] = mergeDeep({ syntax: '*', inherits: false }, settings.properties[name]);
+    });
+
+    // Resolve @custom-media references and remove @custom-media rules. Rules
+    // within resolved @media blocks are retained since the original @media
+    // query cannot be evaluated by legacy browsers.
+    cssTree.stylesheet.rules = cssTree.stylesheet.rules.filter(rule => {
+        if (rule.type === 'custom-media') {
+            customMedia[rule.name] = rule.media;
+
+            return false;
+        }
+
+        return true;
+    });
+
+    const customMediaRules = resolveCustomMedia(cssTree.stylesheet.rules, customMedia, settings, reported);
 
     // Remove non-vars
     if (settings.onlyVars) {
-        cssTree.stylesheet.rules = filterVars(cssTree.stylesheet.rules);
+        cssTree.stylesheet.rules = filterVars(cssTree.stylesheet.rules, customMediaRules);
     }
 
-    // Define variables
-    cssTree.stylesheet.rules.forEach(function(rule) {
-        const varNameIndices = [];
+    // Remove cyclic and invalid variables and apply registered property values
+    function validateVars(variables) {
+        removeCyclicVars(variables, settings, reported);
 
-        if (rule.type !== 'rule') {
-            return;
+        if (settings.unsetInvalid) {
+            removeInvalidVars(variables, settings);
         }
 
-        // only variables declared for `:root` are supported
-        if (rule.selectors.length !== 1 || rule.selectors[0] !== ':root') {
-            return;
-        }
+        applyRegisteredProps(variables, registry, settings, reported);
+
+        return variables;
+    }
+
+    // Collect variable definitions and cascade layers
+    function defineVars(rules, conditions, layer = []) {
+        const emptyIndices = [];
+
+        rules.forEach(function(rule, ruleIndex) {
+            const importantVars  = {};
+            const ruleVars       = {};
+            const varNameIndices = [];
 
-        rule.declarations.forEach(function(decl, i) {
-            const prop = decl.property;
-            const value = decl.value;
+            // @media, @supports
+            if (rule.type === 'media' || rule.type === 'supports') {
+                defineVars(rule.rules, conditions.concat(rule), layer);
 
-            if (prop && prop.indexOf(VAR_PROP_IDENTIFIER) === 0) {
-                map[prop] = value;
-                varNameIndices.push(i);
+                if (!rule.rules.length) {
+                    emptyIndices.push(ruleIndex);
+                }
+
+                return;
+            }
+
+            // @layer statements and blocks. Anonymous layers receive a unique
+            // name that cannot be referenced by other @layer rules.
+            if (rule.type === 'at-rule' && rule.name === 'layer') {
+                const names = rule.prelude ? rule.prelude.split(',') : [`\u0000${anonLayers++}`];
+
+                names.forEach(name => {
+                    addLayer(layer.concat(name.trim().split('.')));
+                });
+
+                if (rule.rules && names.length === 1) {
+                    defineVars(rule.rules, conditions, layer.concat(names[0].trim().split('.')));
+
+                    if (!rule.rules.length) {
+                        emptyIndices.push(ruleIndex);
+                    }
+                }
+
+                return;
+            }
+
+            if (rule.type !== 'rule') {
+                return;
+            }
+
+            const isRoot  = rule.selectors.length === 1 && rule.selectors[0] === ':root';
+            const hasRoot = settings.scopedVars ? rule.selectors.indexOf(':root') !== -1 : isRoot;
+
+            // only variables declared for `:root` are supported unless scoped
+            // variables have been enabled
+            if (!hasRoot && !settings.scopedVars) {
+                return;
+            }
+
+            rule.declarations.forEach(function(decl, i) {
+                const prop = decl.property;
+                const value = decl.value;
+
+                if (prop && prop.indexOf(VAR_PROP_IDENTIFIER) === 0) {
+                    (decl.important ? importantVars : ruleVars)[prop] = value;
+                    varNameIndices.push(i);
+                }
+            });
+
+            [ruleVars, importantVars].forEach(variables => {
+                if (Object.keys(variables).length) {
+                    definitions.push({
+                        selectors : rule.selectors,
+                        conditions: conditions,
+                        important : variables === importantVars,
+                        layer     : layer.join('.'),
+                        variables : variables
+                    });
+                }
+            });
+
+            // optionally remove `--*` properties from the rule
+            if (!settings.preserve) {
+                for (let i = varNameIndices.length - 1; i >= 0; i--) {
+                    rule.declarations.splice(varNameIndices[i], 1);
+                }
+
+                // remove empty rules from @media, @supports, and @layer blocks
+                if ((conditions.length || layer.length) && varNameIndices.length && !rule.declarations.length) {
+                    emptyIndices.push(ruleIndex);
+                }
             }
         });
 
-        // optionally remove `--*` properties from the rule
-        if (!settings.preserve) {
-            for (let i = varNameIndices.length - 1; i >= 0; i--) {
-                rule.declarations.splice(varNameIndices[i], 1);
+        for (let i = emptyIndices.length - 1; i >= 0; i--) {
+            rules.splice(emptyIndices[i], 1);
+        }
+    }
+
+    // Add layer (array of names from outermost to innermost) to layer tree in
+    // order of first appearance
+    function addLayer(names) {
+        names.reduce((parent, name) => {
+            let node = parent.layers.filter(l => l.name === name)[0];
+
+            if (!node) {
+                node = {
+                    name  : parent.name ? `${parent.name}.${name}` : name,
+                    layers: []
+                };
+
+                parent.layers.push(node);
             }
+
+            return node;
+        }, layerTree);
+    }
+
+    // Define variables in cascade order: declarations in earlier layers
+    // precede those in later layers, and declarations in sublayers precede
+    // those in their parent layer (unlayered declarations are applied last).
+    // Important declarations follow all normal declarations with the layer
+    // order reversed. Declarations with the same precedence remain in source
+    // order.
+    function applyDefinitions() {
+        const layerRank  = getLayerRank(layerTree);
+        const layerCount = Object.keys(layerRank).length;
+
+        definitions
+            .map((def, i) => ({
+                def  : def,
+                rank : def.important ? layerCount * 2 - 1 - layerRank[def.layer] : layerRank[def.layer],
+                index: i
+            }))
+            .sort((a, b) => a.rank - b.rank || a.index - b.index)
+            .forEach(item => {
+                const def = item.def;
+
+                def.selectors.forEach(function(selector) {
+                    // unconditional `:root` variables
+                    if (selector === ':root' && !def.conditions.length) {
+                        Object.keys(def.variables).forEach(prop => {
+                            map[prop]       = def.variables[prop];
+                            rootOrder[prop] = ruleOrder;
+                        });
+                    }
+                    // conditional `:root` variables and scoped variables
+                    else {
+                        addScope(selector === ':root' ? null : selector, def.conditions, def.variables);
+                    }
+                });
+
+                ruleOrder++;
+            });
+    }
+
+    // Store variables by selector and @media/@supports conditions
+    function addScope(selector, conditions, variables) {
+        const key = [selector || ':root'].concat(conditions.map(getConditionText)).join(' ');
+
+        let scope = scopes.filter(s => s.key === key)[0];
+
+        if (!scope) {
+            scope = {
+                key       : key,
+                selector  : selector,
+                conditions: conditions,
+                variables : {},
+                order     : {}
+            };
+
+            scopes.push(scope);
         }
-    });
+
+        Object.keys(variables).forEach(prop => {
+            scope.variables[prop] = variables[prop];
+            scope.order[prop]     = ruleOrder;
+        });
+    }
+
+    defineVars(cssTree.stylesheet.rules, []);
+    applyDefinitions();
 
     // Handle variables defined in settings.variables
     Object.keys(settings.variables).forEach(key => {
@@ -130,7 +436,8 @@ function transformVars(cssText, options = {}) {
 
         Object.keys(varSource).forEach(function(key) {
             // Update internal map value with varSource value
-            map[key] = varSource[key];
+            map[key]       = varSource[key];
+            rootOrder[key] = Infinity;
 
             // Add new declaration to newRule
             newRule.declarations.push({
@@ -151,11 +458,51 @@ function transformVars(cssText, options = {}) {
         }
     }
 
+    // Remove cyclic variables and apply registered property values
+    validateVars(map);
+
+    // Report resolved :root variables (warnings are reported when values
+    // are resolved below)
+    const quietSettings = mergeDeep(settings, { onWarning() {} });
+
+    settings.onVariables(Object.keys(map).reduce((variables, name) => {
+        const value         = map[name];
+        const resolvedValue = typeof value === 'string' && value.indexOf(VAR_FUNC_IDENTIFIER + '(') !== -1 ? resolveValue(value, map, quietSettings) : value;
+
+        // Unresolved values are unchanged
+        variables[name] = resolvedValue !== 'undefined' ? resolvedValue : value;
+
+        return variables;
+    }, {}));
+
+    // Declarations with variables that are undefined for :root but defined by
+    // a scoped or conditional :root rule
+    const scopedDecls = [];
+
+    // Resolve scoped and conditional variables
+    if (scopes.length) {
+        // Remove conditional `:root` variables overridden by subsequent
+        // unconditional declarations
+        scopes.forEach(scope => {
+            if (!scope.selector) {
+                Object.keys(scope.variables).forEach(prop => {
+                    if (rootOrder[prop] > scope.order[prop]) {
+                        delete scope.variables[prop];
+                    }
+                });
+            }
+        });
+
+        addScopedRules(cssTree.stylesheet.rules, map, scopes, settings, validateVars, scopedDecls);
+    }
+
     // Resolve variables
     walkCss(cssTree.stylesheet, function(declarations, node) {
         let decl;
+        let isScoped;
         let resolvedValue;
         let value;
+        let varInfo;
 
         for (let i = 0; i < declarations.length; i++) {
             decl = declarations[i];
@@ -171,7 +518,26 @@ function transformVars(cssText, options = {}) {
                 continue;
             }
 
-            resolvedValue = resolveValue(value, map, settings);
+            isScoped      = scopedDecls.indexOf(decl) !== -1;
+            varInfo       = { location: getLocation(decl.position) };
+            resolvedValue = resolveValue(value, map, isScoped ? quietSettings : settings, varInfo);
+
+            // Remove declarations resolved only by scoped rules
+            if (isScoped && varInfo.invalid && !settings.unsetInvalid && !settings.preserve) {
+                declarations.splice(i, 1);
+                i--;
+
+                continue;
+            }
+
+            // Resolve values that are invalid at computed-value time
+            if (varInfo.invalid && settings.unsetInvalid) {
+                resolvedValue = getUnsetValue(decl.property);
+
+                for (let j = 0; j < varInfo.invalid.length && !isScoped; j++) {
+                    settings.onWarning(`CSS transform warning: ${varInfo.location}variable "${varInfo.invalid[j]}" is undefined; "${decl.property}" is invalid at computed-value time and will resolve to "${resolvedValue}"`);
+                }
+            }
 
             if (resolvedValue !== 'undefined') {
                 if (!settings.preserve) {
@@ -179,11 +545,22 @@ function transformVars(cssText, options = {}) {
                 }
                 else {
                     declarations.splice(i, 0, {
-                        type    : decl.type,
-                        property: decl.property,
-                        value   : resolvedValue
+                        type     : decl.type,
+                        property : decl.property,
+                        value    : resolvedValue,
+                        important: decl.important,
+                        position : decl.position,
+                        raws     : decl.raws
                     });
 
+                    // Separate preserved declaration from resolved
+                    // declaration (lossless)
+                    if (decl.raws) {
+                        decl.raws = mergeDeep(decl.raws, {
+                            before: ';' + decl.raws.before.replace(/;/g, '')
+                        });
+                    }
+
                     // skip ahead of preserved declaration
                     i++;
                 }
@@ -191,31 +568,513 @@ function transformVars(cssText, options = {}) {
         }
     });
 
+    // Reduce calc() values
+    if (settings.reduceCalc) {
+        walkCss(cssTree.stylesheet, function(declarations) {
+            declarations.forEach(decl => {
+                if (decl.type === 'declaration' && decl.value && /calc\(/i.test(decl.value)) {
+                    decl.value = reduceCalc(decl.value);
+                }
+            });
+        });
+    }
+
     // Fix nested calc() values
     if (settings.fixNestedCalc) {
         fixNestedCalc(cssTree.stylesheet.rules);
     }
 
+    // Plugins (after variable resolution)
+    runPlugins('after', cssTree, settings);
+
     // Return CSS string
-    return stringifyCss(cssTree);
+    return stringifyCss(cssTree, {
+        format     : settings.format,
+        keepLicense: settings.keepLicense,
+        lossless   : settings.lossless,
+        sourceMap  : settings.sourceMap,
+        sources    : settings.sources.length ? settings.sources : [{ name: 'source.css', content: cssText }],
+        onSourceMap: settings.onSourceMap
+    });
+}
+
+/**
+ * Removes source ASTs cached by previous calls using options.cache
+ *
+ * @param {boolean|string} [cache] The options.cache value (true or a key) of
+ *                         the ASTs to remove. All cached ASTs are removed
+ *                         when not specified.
+ */
+function clearCache(cache) {
+    clearStores(cacheStores, cache);
+}
+
+/**
+ * Removes variables persisted by previous calls using options.persist
+ *
+ * @param {boolean|string} [persist] The options.persist value (true or a
+ *                         key) of the variables to remove. All persisted
+ *                         variables are removed when not specified.
+ */
+function clearPersist(persist) {
+    clearStores(persistStores, persist);
 }
 
 
 // Functions (Private)
 // =============================================================================
+/**
+ * Removes the store matching an options.cache or options.persist value, or
+ * all stores when a value is not specified
+ *
+ * @param {object} stores
+ * @param {boolean|string} [value]
+ */
+function clearStores(stores, value) {
+    Object.keys(stores).forEach(key => {
+        if (value === undefined || key === getStoreKey(value)) {
+            delete stores[key];
+        }
+    });
+}
+
+/**
+ * Returns the key used to store cached ASTs or persisted variables for an
+ * options.cache or options.persist value: the specified key or an empty
+ * string for the default store
+ *
+ * @param {boolean|string} value
+ * @returns {string}
+ */
+function getStoreKey(value) {
+    return typeof value === 'string' ? value : '';
+}
+
+/**
+ * Returns the store object for an options.cache or options.persist value,
+ * creating the object if necessary
+ *
+ * @param {object} stores
+ * @param {boolean|string} value
+ * @returns {object}
+ */
+function getStore(stores, value) {
+    const key = getStoreKey(value);
+
+    stores[key] = stores[key] || {};
+
+    return stores[key];
+}
+
+/**
+ * Returns a deep copy of an AST node or array of nodes. The offsets of
+ * position objects are increased by the specified offset and their source
+ * is set to the specified source name.
+ *
+ * @param {*} value
+ * @param {number} offset
+ * @param {string} sourceName
+ * @returns {*}
+ */
+function cloneAst(value, offset, sourceName) {
+    if (Array.isArray(value)) {
+        return value.map(item => cloneAst(item, offset, sourceName));
+    }
+    else if (value && typeof value === 'object') {
+        const copy = {};
+
+        Object.keys(value).forEach(key => {
+            copy[key] = cloneAst(value[key], offset, sourceName);
+        });
+
+        if (copy.position && copy.position.start) {
+            copy.position.start.offset += offset;
+            copy.position.end.offset   += offset;
+            copy.position.source        = sourceName;
+        }
+
+        return copy;
+    }
+
+    return value;
+}
+
+/**
+ * Parses each source (options.sources) separately and returns the combined
+ * AST. Sources with content parsed by the previous call using the same
+ * options.cache value are copied from the cache instead of being parsed.
+ * Positions and recovered errors are offset to match the concatenated
+ * content of all sources, and the raws of adjacent sources are combined.
+ *
+ * @param {object} settings
+ * @returns {object}
+ */
+function parseSources(settings) {
+    const prevStore  = getStore(cacheStores, settings.cache);
+    const store      = {};
+    const stylesheet = { rules: [], errors: [] };
+
+    let offset    = 0;
+    let rawsAfter = '';
+
+    settings.sources.forEach(source => {
+        // Parse options affect the generated AST
+        const entryKey = [settings.lossless, settings.tolerant, source.content].join(':');
+        const ast      = store[entryKey] || prevStore[entryKey] || parseCss(source.content, {
+            raws    : settings.lossless,
+            sources : [source],
+            tolerant: settings.tolerant
+        });
+        const copy     = cloneAst(ast, offset, source.name).stylesheet;
+
+        store[entryKey] = ast;
+
+        copy.errors.forEach(err => {
+            err.offset += offset;
+            err.source  = source.name;
+        });
+
+        if (settings.lossless) {
+            if (copy.rules.length) {
+                copy.rules[0].raws.before = rawsAfter + copy.rules[0].raws.before;
+                rawsAfter = '';
+            }
+
+            rawsAfter += copy.raws.after;
+        }
+
+        stylesheet.rules.push.apply(stylesheet.rules, copy.rules);
+        stylesheet.errors.push.apply(stylesheet.errors, copy.errors);
+
+        offset += source.content.length;
+    });
+
+    if (settings.lossless) {
+        stylesheet.raws = { after: rawsAfter };
+    }
+
+    // Replace cache to remove the ASTs of sources that no longer exist
+    cacheStores[getStoreKey(settings.cache)] = store;
+
+    return { type: 'stylesheet', stylesheet: stylesheet };
+}
+
+/**
+ * Inserts rules with static values for each variable declared on a selector
+ * other than :root and/or within a @media or @supports block (a "scope") and
+ * consumed by another rule. Generated rules are inserted immediately after the
+ * consuming rule in scope declaration order.
+ *
+ * For variables declared on a selector other than :root, the selectors of
+ * generated rules are the scope selector combined with the consuming selector
+ * using a descendant combinator (or the consuming selector alone when it
+ * matches the scope selector). This gives generated rules a higher specificity
+ * than the consuming rule while retaining its position in the cascade.
+ *
+ * For variables declared within @media or @supports blocks, generated rules
+ * are wrapped in the same blocks. When the consuming rule is already inside a
+ * @media block, queries are combined and the generated block is inserted after
+ * the consuming @media block (nested @media blocks are not supported by legacy
+ * browsers).
+ *
+ * Example: .theme-dark { --bg: #000; } .btn { background: var(--bg); }
+ *       => .btn { background: var(--bg); } .theme-dark .btn { background: #000; }
+ *
+ * Example: @media print { :root { --bg: #fff; } } .btn { background: var(--bg); }
+ *       => @media print { .btn { background: #fff; } }
+ *
+ * Declarations with variables that are undefined for :root but resolved by a
+ * scope are added to scopedDecls so that transformVars() does not report them
+ * as undefined.
+ *
+ * @param {array} rules
+ * @param {object} map A map of :root variable names and values
+ * @param {array} scopes Array of { selector, conditions, variables } objects
+ * @param {object} settings Settings object passed from transformVars()
+ * @param {function} validateVars Removes invalid variables from a map
+ * @param {array} scopedDecls Receives declarations resolved only by scopes
+ * @param {array} [context=[]] Ancestor @media and @supports nodes
+ * @param {object} [cache={}] Scope maps by context
+ * @returns {array} Rules to be inserted after the parent @media node
+ */
+function addScopedRules(rules, map, scopes, settings, validateVars, scopedDecls, context = [], cache = {}) {
+    const silentSettings = mergeDeep(settings, { onWarning() {} });
+    const contextText    = context.map(getConditionText);
+    const contextKey     = contextText.join(' ');
+    const parentMedia    = context.length && context[context.length - 1].type === 'media' ? context[context.length - 1] : null;
+    const hoistedRules   = [];
+
+    // Variable maps for each scope. Conditional :root variables with
+    // conditions that match the context apply to all subsequent scopes.
+    if (!cache[contextKey]) {
+        let baseMap = map;
+
+        cache[contextKey] = scopes.map(scope => {
+            const scopeMap = mergeDeep(baseMap, scope.variables);
+
+            if (!scope.selector && isContained(scope.conditions)) {
+                baseMap = scopeMap;
+            }
+
+            return validateVars(scopeMap);
+        });
+    }
+
+    function isContained(conditions) {
+        return conditions.every(condition => contextText.indexOf(getConditionText(condition)) !== -1);
+    }
+
+    for (let i = 0; i < rules.length; i++) {
+        const rule = rules[i];
+
+        // @media, @supports
+        if (rule.type === 'media' || rule.type === 'supports') {
+            const newRules = addScopedRules(rule.rules, map, scopes, settings, validateVars, scopedDecls, context.concat(rule), cache);
+
+            if (newRules.length) {
+                rules.splice(i + 1, 0, ...newRules);
+
+                // skip ahead of generated rules
+                i += newRules.length;
+            }
+
+            continue;
+        }
+
+        // @document, @host
+        if (rule.rules) {
+            addScopedRules(rule.rules, map, scopes, settings, validateVars, scopedDecls, context, cache);
+
+            continue;
+        }
+
+        if (rule.type !== 'rule' || !rule.declarations) {
+            continue;
+        }
+
+        const varDecls = rule.declarations.filter(decl =>
+            decl.type === 'declaration' &&
+            decl.property.indexOf(VAR_PROP_IDENTIFIER) !== 0 &&
+            decl.value && decl.value.indexOf(VAR_FUNC_IDENTIFIER + '(') !== -1
+        );
+
+        if (!varDecls.length) {
+            continue;
+        }
+
+        const newRules = [];
+
+        scopes.forEach((scope, scopeIndex) => {
+            const scopeMap = cache[contextKey][scopeIndex];
+            const newDecls = [];
+
+            varDecls.forEach(decl => {
+                const rootInfo    = {};
+                const scopedInfo  = {};
+
+                let rootValue   = resolveValue(decl.value, map, silentSettings, rootInfo);
+                let scopedValue = resolveValue(decl.value, scopeMap, silentSettings, scopedInfo);
+
+                if (settings.unsetInvalid) {
+                    rootValue   = rootInfo.invalid ? getUnsetValue(decl.property) : rootValue;
+                    scopedValue = scopedInfo.invalid ? getUnsetValue(decl.property) : scopedValue;
+                }
+
+                if (rootInfo.invalid && !scopedInfo.invalid && scopedDecls.indexOf(decl) === -1) {
+                    scopedDecls.push(decl);
+                }
+
+                if (scopedValue !== rootValue && scopedValue !== 'undefined') {
+                    newDecls.push({
+                        type     : 'declaration',
+                        property : decl.property,
+                        value    : scopedValue,
+                        important: decl.important,
+                        position : decl.position
+                    });
+                }
+            });
+
+            if (newDecls.length) {
+                const conditions = scope.conditions.filter(condition => contextText.indexOf(getConditionText(condition)) === -1);
+                const newRule    = {
+                    type        : 'rule',
+                    selectors   : rule.selectors.map(selector => scope.selector ? getScopedSelector(selector, scope.selector) : selector),
+                    declarations: newDecls,
+                    position    : rule.position
+                };
+
+                // Combine with parent @media query
+                if (parentMedia && conditions.length && conditions[0].type === 'media') {
+                    const media = combineMedia(parentMedia.media, conditions[0].media);
+
+                    if (media) {
+                        hoistedRules.push({
+                            type : 'media',
+                            media: media,
+                            rules: [wrapRule(newRule, conditions.slice(1))]
+                        });
+
+                        return;
+                    }
+                }
+
+                newRules.push(wrapRule(newRule, conditions));
+            }
+        });
+
+        if (newRules.length) {
+            rules.splice(i + 1, 0, ...newRules);
+
+            // skip ahead of generated rules
+            i += newRules.length;
+        }
+    }
+
+    return hoistedRules;
+}
+
+/**
+ * Returns a selector that matches the elements of a consuming selector within
+ * a scope. The scope selector is prepended as an ancestor unless a sequence
+ * of compound selectors in the consuming selector already matches it.
+ * Example: ('.title', '.card') => '.card .title'
+ * Example: ('.card .title', '.card') => '.card .title'
+ * Example: ('.card.active .title', '.card') => '.card.active .title'
+ *
+ * @param {string} selector The consuming selector
+ * @param {string} scopeSelector The selector that declares the variables
+ * @returns {string}
+ */
+function getScopedSelector(selector, scopeSelector) {
+    const reCombinator   = /\s*[\s>+~]\s*/;
+    const reSimple       = /\[[^\]]*\]|::?[\w-]+(?:\([^)]*\))?|[.#]?[\w-]+|\*/g;
+    const compounds      = selector.trim().split(reCombinator);
+    const scopeCompounds = scopeSelector.trim().split(reCombinator);
+
+    // Compound matches when it contains all simple selectors of the scope
+    // compound (e.g. ".card.active" matches ".card")
+    const isMatch = (compound, scopeCompound) => {
+        const simple = compound.match(reSimple) || [];
+
+        return (scopeCompound.match(reSimple) || []).every(item => simple.indexOf(item) !== -1);
+    };
+
+    for (let i = 0; i <= compounds.length - scopeCompounds.length; i++) {
+        if (scopeCompounds.every((scopeCompound, j) => isMatch(compounds[i + j], scopeCompound))) {
+            return selector;
+        }
+    }
+
+    return `${scopeSelector} ${selector}`;
+}
+
+/**
+ * Combines two comma-separated lists of media queries. Returns null when a
+ * pair of queries cannot be combined (i.e. both specify a media type or
+ * either is negated).
+ * Example: ('screen', '(min-width: 600px)') => 'screen and (min-width: 600px)'
+ *
+ * @param {string} parentMedia
+ * @param {string} media
+ * @returns {string|null}
+ */
+function combineMedia(parentMedia, media) {
+    const parentQueries = parentMedia.split(/\s*,\s*/);
+    const queries       = media.split(/\s*,\s*/);
+    const isNegated     = query => /^not\s/i.test(query);
+    const combined      = [];
+
+    for (let i = 0; i < parentQueries.length; i++) {
+        for (let j = 0; j < queries.length; j++) {
+            const parentQuery = parentQueries[i];
+            const query       = queries[j];
+
+            if (isNegated(parentQuery) || isNegated(query)) {
+                return null;
+            }
+            else if (query.charAt(0) === '(') {
+                combined.push(`${parentQuery} and ${query}`);
+            }
+            else if (parentQuery.charAt(0) === '(') {
+                combined.push(`${query} and ${parentQuery}`);
+            }
+            else {
+                return null;
+            }
+        }
+    }
+
+    return combined.join(', ');
+}
+
+/**
+ * Returns @media or @supports condition as text
+ * Example: { type: 'media', media: 'print' } => '@media print'
+ *
+ * @param {object} node
+ * @returns {string}
+ */
+function getConditionText(node) {
+    return `@${node.type} ${node[node.type]}`;
+}
+
+/**
+ * Returns the source, line, and column of a node position followed by a
+ * space for use as a warning prefix, or an empty string if the position is
+ * unknown.
+ * Example: { start: { line: 4, column: 5 }, source: 'style.css' } => 'style.css:4:5 '
+ *
+ * @param {object} [position]
+ * @returns {string}
+ */
+function getLocation(position) {
+    if (!position || !position.start || !position.start.line) {
+        return '';
+    }
+
+    return `${position.source ? position.source + ':' : ''}${position.start.line}:${position.start.column} `;
+}
+
+/**
+ * Wraps rule in nested @media and @supports nodes
+ *
+ * @param {object} rule
+ * @param {array} conditions Outermost to innermost @media and @supports nodes
+ * @returns {object}
+ */
+function wrapRule(rule, conditions) {
+    return conditions.reduceRight((node, condition) => {
+        const wrapper = {
+            type : condition.type,
+            rules: [node]
+        };
+
+        wrapper[condition.type] = condition[condition.type];
+
+        return wrapper;
+    }, rule);
+}
+
 /**
  * Filters rules recursively, retaining only declarations that contain either a
  * CSS variable definition (property) or function (value). Maintains all
- * declarations for @font-face and @keyframes rules that contain a CSS
- * definition or function.
+ * declarations for @font-face, @keyframes, and other at-rules (e.g.
+ * @counter-style) that contain a CSS definition or function, as well as all
+ * @property rules and at-rule statements (e.g. @layer a, b;).
  *
  * @param {array} rules
+ * @param {array} [keepRules=[]] Rules to retain without filtering
  * @returns {array}
  */
-function filterVars(rules) {
+function filterVars(rules, keepRules = []) {
     return rules.filter(rule => {
-        // Rule, @font-face, @host, @page
-        if (rule.declarations) {
+        // @property and retained rules
+        if (rule.type === 'property' || keepRules.indexOf(rule) !== -1) {
+            return true;
+        }
+        // Rule, @font-face, @host, @page, other at-rules with declarations
+        else if (rule.declarations) {
             const declArray = rule.declarations.filter(d => {
                 const hasVarProp = d.property && d.property.indexOf(VAR_PROP_IDENTIFIER) === 0;
                 const hasVarVal  = d.value && d.value.indexOf(VAR_FUNC_IDENTIFIER + '(') > -1;
@@ -224,10 +1083,10 @@ function filterVars(rules) {
             });
 
             // For most rule types the filtered declarations should be applied.
-            // @font-face declaratons are unique and require all declarations to
-            // be retained if any declaration contains a CSS variable definition
-            // or value.
-            if (rule.type !== 'font-face') {
+            // @font-face and other at-rule declaratons are descriptors that
+            // require all declarations to be retained if any declaration
+            // contains a CSS variable definition or value.
+            if (rule.type !== 'font-face' && rule.type !== 'at-rule') {
                 rule.declarations = declArray;
             }
 
@@ -246,9 +1105,9 @@ function filterVars(rules) {
                 }).length)
             ).length);
         }
-        // @document, @media, @supports
+        // @document, @media, @supports, other at-rules with rules
         else if (rule.rules) {
-            rule.rules = filterVars(rule.rules).filter(r => r.declarations && r.declarations.length);
+            rule.rules = filterVars(rule.rules, keepRules).filter(r => (r.declarations && r.declarations.length) || r.rules);
 
             return Boolean(rule.rules.length);
         }
@@ -293,6 +1152,397 @@ function fixNestedCalc(rules) {
     });
 }
 
+/**
+ * Invokes the "before" or "after" function of each plugin with the CSS AST
+ * and a helper object
+ *
+ * @param {string} hook The plugin function name ("before" or "after")
+ * @param {object} cssTree
+ * @param {object} settings
+ */
+function runPlugins(hook, cssTree, settings) {
+    const helpers = {
+        options: settings,
+        walk(fn) {
+            walkCss(cssTree.stylesheet, fn);
+        },
+        walkDecls(fn) {
+            walkCss(cssTree.stylesheet, function(declarations, node, rule) {
+                declarations.slice().forEach(decl => {
+                    if (decl.type === 'declaration') {
+                        fn(decl, rule);
+                    }
+                });
+            });
+        }
+    };
+
+    settings.plugins.forEach(plugin => {
+        if (plugin && typeof plugin[hook] === 'function') {
+            plugin[hook](cssTree, helpers);
+        }
+    });
+}
+
+/**
+ * Returns a map of layer names and their cascade rank. Layers are ranked
+ * after their sublayers, and sibling layers are ranked in order of first
+ * appearance. Unlayered declarations (an empty layer name) are ranked last.
+ * Example: @layer a.x, b; => { 'a.x': 0, 'a': 1, 'b': 2, '': 3 }
+ *
+ * @param {object} layer Layer tree node containing a name and sublayers
+ * @param {object} [rank={}]
+ * @returns {object}
+ */
+function getLayerRank(layer, rank = {}) {
+    layer.layers.forEach(sublayer => {
+        getLayerRank(sublayer, rank);
+    });
+
+    rank[layer.name] = Object.keys(rank).length;
+
+    return rank;
+}
+
+/**
+ * Replaces @custom-media references in @media queries recursively with the
+ * media queries they represent and returns the updated @media rules.
+ * Example: @custom-media --narrow (max-width: 30em);
+ *          '(--narrow) and print' => '(max-width: 30em) and print'
+ *          'not all and (--narrow)' => 'not all and (max-width: 30em)'
+ *
+ * @param {array} rules
+ * @param {object} customMedia @custom-media name:media map
+ * @param {object} settings Settings object passed from transformVars()
+ * @param {object} [reported={}] Warnings previously reported
+ * @returns {array}
+ */
+function resolveCustomMedia(rules, customMedia, settings, reported = {}) {
+    return rules.reduce((resolvedRules, rule) => {
+        if (rule.type === 'media' && /\(\s*--/.test(rule.media)) {
+            const media = splitList(rule.media).reduce((queries, query) =>
+                queries.concat(expandMediaQuery(query, customMedia, settings, reported, getLocation(rule.position))), []
+            ).join(', ');
+
+            if (media !== rule.media) {
+                rule.media = media;
+                resolvedRules.push(rule);
+            }
+        }
+
+        if (rule.rules) {
+            resolvedRules = resolvedRules.concat(resolveCustomMedia(rule.rules, customMedia, settings, reported));
+        }
+
+        return resolvedRules;
+    }, []);
+}
+
+/**
+ * Replaces @custom-media references in a single media query and returns an
+ * array of media queries. References to undefined or cyclic custom media are
+ * left unchanged, as are queries that cannot be represented as a media query
+ * list (e.g. a negated reference to a custom media query list).
+ *
+ * @param {string} query
+ * @param {object} customMedia @custom-media name:media map
+ * @param {object} settings Settings object passed from transformVars()
+ * @param {object} reported Warnings previously reported
+ * @param {string} [location=''] Location of the @media rule used to prefix
+ *                 warnings (e.g. 'style.css:4:1 ')
+ * @param {array} [stack=[]] Custom media names being resolved
+ * @returns {array}
+ */
+function expandMediaQuery(query, customMedia, settings, reported, location = '', stack = []) {
+    const reNegated    = /^not\s+/i;
+    const reRef        = /\(\s*(--[^\s)]+)\s*\)/g;
+    const isNegated    = reNegated.test(query);
+    const body         = query.replace(reNegated, '');
+    const isStandalone = /^(?:all\s+and\s+)?\(\s*--[^\s)]+\s*\)$/i.test(body);
+    const parts        = body.split(reRef); // [text, name, text, name, ..., text]
+    const warningIntro = 'CSS transform warning:';
+
+    let queries = [''];
+
+    for (let i = 0; i < parts.length; i++) {
+        // Text between references
+        if (i % 2 === 0) {
+            queries = queries.map(q => q + parts[i]);
+            continue;
+        }
+
+        const name = parts[i];
+
+        let refQueries;
+
+        if (stack.indexOf(name) !== -1) {
+            const chain = stack.slice(stack.indexOf(name)).concat(name).join(' -> ');
+
+            if (!reported[chain]) {
+                reported[chain] = true;
+                settings.onWarning(`${warningIntro} cyclic custom media reference (${chain})`);
+            }
+        }
+        else if (!Object.prototype.hasOwnProperty.call(customMedia, name)) {
+            settings.onWarning(`${warningIntro} ${location}custom media "${name}" is undefined`);
+        }
+        else {
+            refQueries = splitList(customMedia[name]).reduce((arr, refQuery) =>
+                arr.concat(expandMediaQuery(refQuery, customMedia, settings, reported, location, stack.concat(name))), []
+            );
+        }
+
+        if (!refQueries) {
+            refQueries = [`(${name})`];
+        }
+        else if (isStandalone) {
+            if (!isNegated) {
+                return refQueries;
+            }
+            else if (refQueries.length === 1) {
+                return [reNegated.test(refQueries[0]) ? refQueries[0].replace(reNegated, '') : 'not ' + (refQueries[0].charAt(0) === '(' ? 'all and ' : '') + refQueries[0]];
+            }
+        }
+
+        // Negated lists and negated queries combined with other conditions
+        // cannot be represented as a media query list
+        if ((isNegated && refQueries.length > 1) || (!isStandalone && refQueries.some(q => reNegated.test(q)))) {
+            settings.onWarning(`${warningIntro} ${location}custom media "${name}" cannot be negated or combined in "${query}"`);
+
+            return [query];
+        }
+
+        queries = queries.reduce((arr, q) => arr.concat(refQueries.map(refQuery => q + refQuery)), []);
+    }
+
+    return queries.map(q => (isNegated ? 'not ' : '') + q);
+}
+
+/**
+ * Splits a comma-separated list (e.g. a media query list or function
+ * arguments) into an array of items, ignoring commas within parenthesis
+ *
+ * @param {string} list
+ * @returns {array}
+ */
+function splitList(list) {
+    const items = [''];
+
+    let depth = 0;
+
+    for (let i = 0; i < list.length; i++) {
+        const char = list.charAt(i);
+
+        depth += char === '(' ? 1 : char === ')' ? -1 : 0;
+
+        if (char === ',' && depth === 0) {
+            items.push('');
+        }
+        else {
+            items[items.length - 1] += char;
+        }
+    }
+
+    return items.map(item => item.trim()).filter(item => item);
+}
+
+/**
+ * Applies registered custom property definitions (via @property rules or
+ * options.properties) to a map of variables. Undefined registered variables
+ * are set to their initial value, and variables with values that do not match
+ * their registered syntax are reported via settings.onWarning() and set to
+ * their initial value (or removed if no initial value is provided).
+ *
+ * @param {object} map A map of variable names and values
+ * @param {object} registry A map of registered property names and definitions
+ * @param {object} settings Settings object passed from transformVars()
+ * @param {object} [reported={}] Warnings previously reported
+ * @returns {object} The map with registered values applied
+ */
+function applyRegisteredProps(map, registry, settings, reported = {}) {
+    const silentSettings = mergeDeep(settings, { onWarning() {} });
+
+    Object.keys(registry).forEach(name => {
+        const definition   = registry[name];
+        const initialValue = definition.initialValue;
+        const hasInitial   = initialValue !== undefined && initialValue !== '';
+
+        if (map[name] === undefined || map[name] === '') {
+            if (hasInitial) {
+                map[name] = initialValue;
+            }
+
+            return;
+        }
+
+        const value         = String(map[name]);
+        const resolvedValue = value.indexOf(VAR_FUNC_IDENTIFIER + '(') !== -1 ? resolveValue(value, map, silentSettings) : value;
+
+        if (!matchSyntax(resolvedValue, definition.syntax)) {
+            const warning = `CSS transform warning: variable "${name}" value "${resolvedValue}" does not match registered syntax "${definition.syntax}"` + (hasInitial ? `; using initial value "${initialValue}"` : '');
+
+            if (!reported[warning]) {
+                reported[warning] = true;
+                settings.onWarning(warning);
+            }
+
+            if (hasInitial) {
+                map[name] = initialValue;
+            }
+            else {
+                delete map[name];
+            }
+        }
+    });
+
+    return map;
+}
+
+/**
+ * Detects variables that reference themselves either directly (--a: var(--a))
+ * or through other variables (--a: var(--b); --b: var(--a)). Per spec, these
+ * variables are invalid at computed-value time, so they are removed from the
+ * map and var() functions referencing them will use their fallback value (if
+ * provided). Each cycle is reported once via settings.onWarning().
+ *
+ * @param {object} map A map of variable names and values
+ * @param {object} settings Settings object passed from transformVars()
+ * @param {object} [reported={}] Warnings previously reported
+ * @returns {object} The map with cyclic variables removed
+ */
+function removeCyclicVars(map, settings, reported = {}) {
+    const reVarRef = /var\(\s*(--[^,\s)]+)/g;
+    const graph    = {};
+    const index    = {};
+    const lowLink  = {};
+    const onStack  = {};
+    const stack    = [];
+
+    let counter = 0;
+
+    // Build dependency graph
+    Object.keys(map).forEach(name => {
+        const value = String(map[name]);
+        const refs  = [];
+
+        let match;
+
+        while ((match = reVarRef.exec(value)) !== null) {
+            if (match[1] in map && refs.indexOf(match[1]) === -1) {
+                refs.push(match[1]);
+            }
+        }
+
+        graph[name] = refs;
+    });
+
+    // Returns the shortest chain of references from start back to itself
+    function getChain(start, members) {
+        const queue = [[start]];
+        const seen  = {};
+
+        while (queue.length) {
+            const path = queue.shift();
+            const refs = graph[path[path.length - 1]];
+
+            for (let i = 0; i < refs.length; i++) {
+                const ref = refs[i];
+
+                if (ref === start) {
+                    return path.concat(ref);
+                }
+                else if (members.indexOf(ref) !== -1 && !seen[ref]) {
+                    seen[ref] = true;
+                    queue.push(path.concat(ref));
+                }
+            }
+        }
+    }
+
+    // Find strongly connected components (Tarjan)
+    function connect(name) {
+        index[name]   = counter;
+        lowLink[name] = counter;
+        onStack[name] = true;
+        stack.push(name);
+        counter++;
+
+        graph[name].forEach(ref => {
+            if (index[ref] === undefined) {
+                connect(ref);
+                lowLink[name] = Math.min(lowLink[name], lowLink[ref]);
+            }
+            else if (onStack[ref]) {
+                lowLink[name] = Math.min(lowLink[name], index[ref]);
+            }
+        });
+
+        if (lowLink[name] === index[name]) {
+            const members = [];
+
+            let member;
+
+            do {
+                member = stack.pop();
+                onStack[member] = false;
+                members.unshift(member);
+            } while (member !== name);
+
+            // Component is a cycle if it contains multiple variables or a
+            // single variable that references itself
+            if (members.length > 1 || graph[name].indexOf(name) !== -1) {
+                const chain = getChain(name, members).join(' -> ');
+
+                if (!reported[chain]) {
+                    reported[chain] = true;
+                    settings.onWarning(`CSS transform warning: cyclic variable reference (${chain})`);
+                }
+
+                members.forEach(cycleName => {
+                    delete map[cycleName];
+                });
+            }
+        }
+    }
+
+    Object.keys(graph).forEach(name => {
+        if (index[name] === undefined) {
+            connect(name);
+        }
+    });
+
+    return map;
+}
+
+/**
+ * Removes variables that reference undefined variables without a fallback.
+ * These variables are invalid at computed-value time, allowing declarations
+ * that reference them to use their fallback values.
+ *
+ * @param {object} map A map of variable names and values
+ * @param {object} settings Settings object passed from transformVars()
+ * @returns {object} The map with invalid variables removed
+ */
+function removeInvalidVars(map, settings) {
+    const silentSettings = mergeDeep(settings, { onWarning() {} });
+    const invalidNames   = Object.keys(map).filter(name => {
+        const value   = String(map[name]);
+        const varInfo = {};
+
+        if (value.indexOf(VAR_FUNC_IDENTIFIER + '(') !== -1) {
+            resolveValue(value, map, silentSettings, varInfo);
+        }
+
+        return Boolean(varInfo.invalid);
+    });
+
+    invalidNames.forEach(name => {
+        delete map[name];
+    });
+
+    return map;
+}
+
 /**
  * Resolve CSS variables in a value
  *
@@ -305,24 +1555,28 @@ function fixNestedCalc(rules) {
  * @param {string} value A property value containing a CSS variable function
  * @param {object} map A map of variable names and values
  * @param {object} settings Settings object passed from transformVars()
+ * @param {object} [info={}] Receives the names of undefined variables without
+ *                 a fallback as an "invalid" array. An optional "location"
+ *                 string (e.g. 'style.css:4:5 ') is used to prefix warnings.
  * @return {string} A new value with CSS variables substituted or using fallback
  */
-function resolveValue(value, map, settings) {
-    // matches `name[, fallback]`, captures 'name' and 'fallback'
-    const RE_VAR = /([\w-]+)(?:\s*,\s*)?(.*)?/;
+function resolveValue(value, map, settings, info = {}) {
+    // matches `name[, fallback]`, captures 'name' and 'fallback'. Names may
+    // contain non-ASCII characters and escapes.
+    const RE_VAR = /((?:[\w-]|[^\0-\x7F]|\\.)+)(?:\s*,\s*)?([\s\S]*)?/;
     const balancedParens = balanced('(', ')', value);
     const varStartIndex  = value.indexOf('var(');
     const varRef         = balanced('(', ')', value.substring(varStartIndex)).body;
-    const warningIntro   = 'CSS transform warning:';
+    const warningIntro   = 'CSS transform warning: ' + (info.location || '');
 
     /* istanbul ignore next */
     if (!balancedParens) {
-        settings.onWarning(`${warningIntro} missing closing ")" in the value "${value}"`);
+        settings.onWarning(`${warningIntro}missing closing ")" in the value "${value}"`);
     }
 
     /* istanbul ignore next */
     if (varRef === '') {
-        settings.onWarning(`${warningIntro} var() must contain a non-whitespace string`);
+        settings.onWarning(`${warningIntro}var() must contain a non-whitespace string`);
     }
 
     const varFunc   = VAR_FUNC_IDENTIFIER + '(' + varRef + ')';
@@ -332,7 +1586,12 @@ function resolveValue(value, map, settings) {
         const hasFallback    = fallback !== undefined && fallback !== '';
 
         if (!hasReplacement && !hasFallback) {
-            settings.onWarning(`${warningIntro} variable "${name}" is undefined`);
+            info.invalid = (info.invalid || []).concat(name);
+
+            // Warnings for invalid values are reported by transformVars()
+            if (!settings.unsetInvalid) {
+                settings.onWarning(`${warningIntro}variable "${name}" is undefined`);
+            }
         }
 
         if (!hasReplacement && hasFallback) {
@@ -347,7 +1606,82 @@ function resolveValue(value, map, settings) {
 
     // recursively resolve any remaining variables in the value
     if (value.indexOf(VAR_FUNC_IDENTIFIER + '(') !== -1) {
-        value = resolveValue(value, map, settings);
+        value = resolveValue(value, map, settings, info);
+    }
+    // evaluate custom functions once all variables are resolved
+    else {
+        value = resolveFunctions(value, settings, warningIntro);
+    }
+
+    return value;
+}
+
+/**
+ * Evaluate custom functions (options.functions) in a value
+ *
+ * Nested function calls are evaluated first. Calls that cannot be evaluated
+ * are unchanged.
+ *
+ * Example: alpha(darken(#f00, 10%), .5) => alpha(#e60000, .5) => rgba(...)
+ *
+ * @param {string} value A property value containing resolved variables
+ * @param {object} settings Settings object passed from transformVars()
+ * @param {string} warningIntro Text used to prefix warnings
+ * @return {string} A new value with custom functions evaluated
+ */
+function resolveFunctions(value, settings, warningIntro) {
+    const fnNames = Object.keys(settings.functions || {});
+
+    if (!fnNames.length) {
+        return value;
+    }
+
+    // matches function names followed by "(", ignoring names that are a
+    // suffix of another name (e.g. "darken" in "my-darken(")
+    const reFunc = new RegExp('(^|[^\\w-])(' + fnNames.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|') + ')\\(', 'gi');
+    const calls  = [];
+
+    let match;
+
+    while ((match = reFunc.exec(value)) !== null) {
+        calls.push({
+            index: match.index + match[1].length,
+            name : match[2]
+        });
+
+        // Allow "(" to precede nested function names
+        reFunc.lastIndex = match.index + match[0].length - 1;
+    }
+
+    // Evaluate calls from last to first so that nested calls are evaluated
+    // before the calls that contain them
+    for (let i = calls.length - 1; i >= 0; i--) {
+        const call   = calls[i];
+        const args   = balanced('(', ')', value.slice(call.index));
+        const fnName = fnNames.filter(name => name.toLowerCase() === call.name.toLowerCase())[0];
+
+        if (!args) {
+            continue;
+        }
+
+        const fnCall = value.substr(call.index, args.end + 1);
+
+        let error;
+        let result;
+
+        try {
+            result = settings.functions[fnName].apply(null, splitList(args.body));
+        }
+        catch(err) {
+            error = err;
+        }
+
+        if (typeof result === 'string' || typeof result === 'number') {
+            value = value.slice(0, call.index) + result + value.slice(call.index + fnCall.length);
+        }
+        else {
+            settings.onWarning(`${warningIntro}unable to resolve "${fnCall}"${error ? `; ${error.message || error}` : ''}`);
+        }
     }
 
     return value;
@@ -356,4 +1690,7 @@ function resolveValue(value, map, settings) {
 
 // Exports
 // =============================================================================
+transformVars.clearCache   = clearCache;
+transformVars.clearPersist = clearPersist;
+
 export default transformVars;
@@ -7,14 +7,16 @@
 // Functions
 // =============================================================================
 /**
- * Visit `node` declarations recursively and invoke `fn(declarations, node)`.
+ * Visit `node` declarations recursively and invoke
+ * `fn(declarations, node, rule)`, where `rule` is the node containing the
+ * declarations.
  *
  * @param {object} node
  * @param {function} fn
  */
 function walkCss(node, fn){
     node.rules.forEach(function(rule){
-        // @media etc
+        // @media, @supports, other at-rules with rules etc
         if (rule.rules) {
             walkCss(rule, fn);
 
@@ -25,19 +27,19 @@ function walkCss(node, fn){
         if (rule.keyframes) {
             rule.keyframes.forEach(function(keyframe){
                 if (keyframe.type === 'keyframe') {
-                    fn(keyframe.declarations, rule);
+                    fn(keyframe.declarations, rule, keyframe);
                 }
             });
 
             return;
         }
 
-        // @charset, @import etc
+        // @charset, @import, at-rule statements etc
         if (!rule.declarations) {
             return;
         }
 
-        fn(rule.declarations, node);
+        fn(rule.declarations, node, rule);
     });
 }
 
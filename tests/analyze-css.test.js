@@ -0,0 +1,94 @@
+// Dependencies
+// =============================================================================
+import analyzeCss from '../src/analyze-css';
+import { expect } from 'chai';
+
+
+// Suite
+// =============================================================================
+describe('analyze-css', function() {
+    it('reports declarations with selector, conditions, and source', function() {
+        const source1 = ':root { --color: red; }\n';
+        const source2 = '@media print { .theme { --color: blue; } }';
+        const report  = analyzeCss(source1 + source2, {
+            sources: [
+                { name: 'a.css', content: source1 },
+                { name: 'b.css', content: source2 }
+            ]
+        });
+
+        expect(report.declarations).to.have.length(2);
+        expect(report.declarations[0]).to.deep.equal({
+            name      : '--color',
+            value     : 'red',
+            selector  : ':root',
+            conditions: [],
+            source    : 'a.css',
+            offset    : 8,
+            line      : 1,
+            column    : 9
+        });
+        expect(report.declarations[1]).to.deep.equal({
+            name      : '--color',
+            value     : 'blue',
+            selector  : '.theme',
+            conditions: ['@media print'],
+            source    : 'b.css',
+            offset    : 24,
+            line      : 1,
+            column    : 25
+        });
+    });
+
+    it('reports references with status', function() {
+        const report = analyzeCss(`
+            :root { --color: red; }
+            p {
+                color: var(--color);
+                margin: var(--margin, var(--fail));
+                padding: var(--padding);
+            }
+        `);
+
+        expect(report.references.map(ref => [ref.name, ref.property, ref.status])).to.deep.equal([
+            ['--color', 'color', 'resolved'],
+            ['--margin', 'margin', 'fallback'],
+            ['--fail', 'margin', 'undefined'],
+            ['--padding', 'padding', 'undefined']
+        ]);
+        expect(report.references[1].fallback).to.equal('var(--fail)');
+        expect(report.fallbacks.map(ref => ref.name)).to.deep.equal(['--margin']);
+        expect(report.undefined.map(ref => ref.name)).to.deep.equal(['--fail', '--padding']);
+    });
+
+    it('reports unused variables and dependency graph', function() {
+        const report = analyzeCss(`
+            :root {
+                --a: 1px;
+                --b: var(--a);
+                --c: var(--d);
+                --d: 2px;
+                --e: 3px;
+            }
+            p { margin: var(--b); }
+        `);
+
+        expect(report.unused).to.deep.equal(['--c', '--d', '--e']);
+        expect(report.graph).to.deep.equal({
+            '--a': [],
+            '--b': ['--a'],
+            '--c': ['--d'],
+            '--d': [],
+            '--e': []
+        });
+    });
+
+    it('treats options.variables as declared', function() {
+        const report = analyzeCss('p { color: var(--color); }', {
+            variables: { color: 'red' }
+        });
+
+        expect(report.references[0].status).to.equal('resolved');
+        expect(report.undefined).to.have.length(0);
+    });
+});
@@ -103,6 +103,25 @@ describe('css-vars', function() {
             });
         });
 
+        it('handles <style> elements with @custom-media rules and references', function() {
+            const styleCss1 = '@custom-media --narrow (max-width: 30em);';
+            const styleCss2 = '@media (--narrow) { p { height: 0; } }';
+            const expectCss = '@media (max-width: 30em){p{height:0;}}';
+
+            createElmsWrap([
+                { tag: 'style', text: styleCss1 },
+                { tag: 'style', text: styleCss2 }
+            ]);
+
+            cssVars({
+                include   : '[data-test]',
+                onlyLegacy: false,
+                onComplete(cssText, styleNode) {
+                    expect(cssText).to.equal(expectCss);
+                }
+            });
+        });
+
         it('handles no matching elements', function() {
             cssVars({
                 include   : '[data-test]',
@@ -233,6 +252,78 @@ describe('css-vars', function() {
             });
         });
 
+        describe('sourceMap', function() {
+            it('true (appends sourceMappingURL and passes source map)', function() {
+                const styleCss  = ':root { --color: red; }\np { color: var(--color); }';
+                const expectCss = 'p{color:red;}';
+
+                createElmsWrap({ tag: 'style', text: styleCss });
+
+                cssVars({
+                    include   : '[data-test]',
+                    onlyLegacy: false,
+                    sourceMap : true,
+                    onComplete(cssText, styleNode, sourceMap) {
+                        expect(cssText.indexOf(expectCss)).to.equal(0);
+                        expect(cssText).to.include('/*# sourceMappingURL=data:application/json;base64,');
+                        expect(sourceMap.sources).to.deep.equal(['style[0]']);
+                        expect(sourceMap.sourcesContent).to.deep.equal([styleCss]);
+                        expect(sourceMap.mappings).to.equal('AACA,EAAI');
+                    }
+                });
+            });
+
+            it('false (default)', function() {
+                const styleCss  = ':root { --color: red; }\np { color: var(--color); }';
+                const expectCss = 'p{color:red;}';
+
+                createElmsWrap({ tag: 'style', text: styleCss });
+
+                cssVars({
+                    include   : '[data-test]',
+                    onlyLegacy: false,
+                    onComplete(cssText, styleNode, sourceMap) {
+                        expect(cssText).to.equal(expectCss);
+                        expect(sourceMap).to.equal(null);
+                    }
+                });
+            });
+        });
+
+        describe('tolerant', function() {
+            it('true (reports errors via onWarning)', function() {
+                const styleCss1 = ':root { --color: red; } a { color red; }';
+                const styleCss2 = 'p { color: var(--color); }';
+                const expectCss = 'p{color:red;}';
+
+                let onErrorCount   = 0;
+                let onWarningCount = 0;
+
+                createElmsWrap([
+                    { tag: 'style', text: styleCss1 },
+                    { tag: 'style', text: styleCss2 }
+                ]);
+
+                cssVars({
+                    include   : '[data-test]',
+                    onlyLegacy: false,
+                    silent    : true,
+                    tolerant  : true,
+                    onWarning() {
+                        onWarningCount++;
+                    },
+                    onError() {
+                        onErrorCount++;
+                    },
+                    onComplete(cssText, styleNode) {
+                        expect(cssText).to.equal(expectCss);
+                        expect(onWarningCount).to.equal(1);
+                        expect(onErrorCount).to.equal(0);
+                    }
+                });
+            });
+        });
+
         describe('updateDOM', function() {
             it('true (appends <style> after last processed element in <head>)', function() {
                 const elm = createElmsWrap({
@@ -438,6 +529,173 @@ describe('css-vars', function() {
                         done();
                     }, 100);
                 });
+
+                it('true (<style> text change)', function(done) {
+                    const styleElms  = createElmsWrap({ tag: 'style', text: ':root{--color:red;}p{color:var(--color);}' });
+                    const cssTexts   = [];
+                    const controller = cssVars({
+                        id        : 'watch-text',
+                        include   : '[data-test]',
+                        onlyLegacy: false,
+                        watch     : true,
+                        onComplete(cssText) {
+                            cssTexts.push(cssText);
+                        }
+                    });
+
+                    controller.then(() => {
+                        styleElms[0].textContent = ':root{--color:blue;}p{color:var(--color);}';
+
+                        setTimeout(function() {
+                            expect(cssTexts[cssTexts.length - 1]).to.equal('p{color:blue;}');
+                            controller.destroy();
+                            done();
+                        }, 50);
+                    });
+                });
+
+                it('true (<style> text node change)', function(done) {
+                    const styleElms  = createElmsWrap({ tag: 'style', text: ':root{--color:red;}p{color:var(--color);}' });
+                    const textElms   = createElmsWrap({ tag: 'p', text: 'text' });
+                    const cssTexts   = [];
+                    const controller = cssVars({
+                        id        : 'watch-text-node',
+                        include   : '[data-test]',
+                        onlyLegacy: false,
+                        watch     : true,
+                        onComplete(cssText) {
+                            cssTexts.push(cssText);
+                        }
+                    });
+
+                    controller.then(() => {
+                        // Ignored: text and inline style changes outside of
+                        // <style> nodes and the root element
+                        textElms[0].firstChild.data = ':root{--color:green;}';
+                        textElms[0].setAttribute('style', '--color: green');
+
+                        setTimeout(function() {
+                            expect(cssTexts, 'ignored mutations').to.have.lengthOf(1);
+
+                            styleElms[0].firstChild.data = ':root{--color:blue;}p{color:var(--color);}';
+
+                            setTimeout(function() {
+                                // Text nodes of <style> nodes added after
+                                // the observer was created
+                                const newElms = createElmsWrap({ tag: 'style', text: 'h1{color:var(--color);}' });
+
+                                setTimeout(function() {
+                                    newElms[0].firstChild.data = ':root{--color:green;}h1{color:var(--color);}';
+
+                                    setTimeout(function() {
+                                        expect(cssTexts).to.deep.equal([
+                                            'p{color:red;}',
+                                            'p{color:blue;}',
+                                            'p{color:blue;}h1{color:blue;}',
+                                            'p{color:green;}h1{color:green;}'
+                                        ]);
+                                        controller.destroy();
+                                        done();
+                                    }, 50);
+                                }, 50);
+                            }, 50);
+                        }, 50);
+                    });
+                });
+
+                it('true (root inline custom property change)', function(done) {
+                    const cssTexts   = [];
+                    const controller = cssVars({
+                        id        : 'watch-inline',
+                        include   : '[data-test]',
+                        onlyLegacy: false,
+                        watch     : true,
+                        onComplete(cssText) {
+                            cssTexts.push(cssText);
+                        }
+                    });
+
+                    createElmsWrap({ tag: 'style', text: ':root{--color:red;}p{color:var(--color);}' });
+
+                    controller.then(() => {
+                        document.documentElement.setAttribute('style', '--color: blue');
+
+                        setTimeout(function() {
+                            controller.destroy();
+                            document.documentElement.removeAttribute('style');
+
+                            expect(cssTexts[cssTexts.length - 1]).to.equal('p{color:blue;}');
+                            done();
+                        }, 50);
+                    });
+                });
+
+                it('true (reuses the CSS of unchanged sources)', function(done) {
+                    const linkUrl   = '/base/tests/fixtures/test-value.css';
+                    const cssTexts  = [];
+                    const successes = [];
+
+                    createElmsWrap([
+                        { tag: 'style', text: ':root{--color:red;}' },
+                        { tag: 'link', attr: { rel: 'stylesheet', href: linkUrl } }
+                    ]);
+
+                    const controller = cssVars({
+                        id        : 'watch-cache',
+                        include   : '[data-test]',
+                        onlyLegacy: false,
+                        watch     : true,
+                        onSuccess(cssText, node) {
+                            successes.push(node.tagName.toLowerCase());
+                        },
+                        onComplete(cssText) {
+                            cssTexts.push(cssText);
+                        }
+                    });
+
+                    controller.then(() => {
+                        successes.length = 0;
+
+                        createElmsWrap({ tag: 'style', text: 'div{color:var(--color);}' });
+
+                        setTimeout(function() {
+                            expect(successes, 'fetched sources').to.deep.equal(['style']);
+                            expect(cssTexts[cssTexts.length - 1]).to.equal('p{color:red;}div{color:red;}');
+                            controller.destroy();
+                            done();
+                        }, 100);
+                    }).catch(done);
+                });
+
+                it('watchDebounce', function(done) {
+                    const styleElms  = createElmsWrap({ tag: 'style', text: ':root{--color:red;}p{color:var(--color);}' });
+                    const cssTexts   = [];
+                    const controller = cssVars({
+                        id           : 'watch-debounce',
+                        include      : '[data-test]',
+                        onlyLegacy   : false,
+                        watch        : true,
+                        watchDebounce: 100,
+                        onComplete(cssText) {
+                            cssTexts.push(cssText);
+                        }
+                    });
+
+                    controller.then(() => {
+                        styleElms[0].textContent = ':root{--color:green;}p{color:var(--color);}';
+                        styleElms[0].textContent = ':root{--color:blue;}p{color:var(--color);}';
+
+                        setTimeout(function() {
+                            expect(cssTexts, 'before debounce').to.have.lengthOf(1);
+                        }, 50);
+
+                        setTimeout(function() {
+                            expect(cssTexts, 'after debounce').to.deep.equal(['p{color:red;}', 'p{color:blue;}']);
+                            controller.destroy();
+                            done();
+                        }, 200);
+                    });
+                });
             });
         }
     });
@@ -592,6 +850,468 @@ describe('css-vars', function() {
         });
     });
 
+    // Tests: Promise
+    // -------------------------------------------------------------------------
+    describe('Promise', function() {
+        it('resolves with result object after onComplete', function() {
+            const styleCss  = ':root { --color: red; } p { color: var(--color); margin: var(--fail); }';
+            const expectCss = 'p{color:red;margin:var(--fail);}';
+
+            let onCompleteCount = 0;
+
+            createElmsWrap({ tag: 'style', text: styleCss });
+
+            return cssVars({
+                include   : '[data-test]',
+                onlyLegacy: false,
+                silent    : true,
+                updateDOM : false,
+                onComplete() {
+                    onCompleteCount++;
+                }
+            }).then(result => {
+                expect(onCompleteCount, 'onComplete count').to.equal(1);
+                expect(result.cssText).to.equal(expectCss);
+                expect(result.styleNode).to.equal(null);
+                expect(result.variables).to.deep.equal({ '--color': 'red' });
+                expect(result.warnings).to.have.length(1);
+                expect(result.warnings[0]).to.include('"--fail" is undefined');
+                expect(result.errors).to.have.length(0);
+            });
+        });
+
+        it('resolves with errors', function() {
+            const styleCss  = ':root { --error: red;';
+            const styleElms = createElmsWrap({ tag: 'style', text: styleCss });
+
+            return cssVars({
+                include   : '[data-test]',
+                onlyLegacy: false,
+                silent    : true,
+                updateDOM : false
+            }).then(result => {
+                expect(result.errors).to.have.length(1);
+                expect(result.errors[0].message.toLowerCase()).to.include('error');
+                expect(result.errors[0].node).to.equal(styleElms[0]);
+            });
+        });
+
+        it('rejects when a callback throws an error', function() {
+            const styleCss = ':root { --color: red; } p { color: var(--color); }';
+
+            createElmsWrap({ tag: 'style', text: styleCss });
+
+            return cssVars({
+                include   : '[data-test]',
+                onlyLegacy: false,
+                updateDOM : false,
+                onComplete() {
+                    throw new Error('onComplete error');
+                }
+            }).then(() => {
+                throw new Error('Promise was resolved');
+            }, err => {
+                expect(err.message).to.equal('onComplete error');
+            });
+        });
+
+        it('exposes finally() and the promise property', function() {
+            const styleCss   = ':root { --color: red; } p { color: var(--color); }';
+            const controller = cssVars({
+                include   : '[data-test]',
+                onlyLegacy: false,
+                updateDOM : false
+            });
+
+            let isFinally = false;
+
+            createElmsWrap({ tag: 'style', text: styleCss });
+
+            expect(controller.promise).to.be.an.instanceof(Promise);
+
+            return controller.refresh().then(() => {
+                expect(controller.promise, 'refreshed promise').to.be.an.instanceof(Promise);
+
+                return controller.finally(() => {
+                    isFinally = true;
+                });
+            }).then(result => {
+                expect(isFinally).to.equal(true);
+                expect(result.cssText).to.equal('p{color:red;}');
+            });
+        });
+
+        it('rejects when onSuccess throws an error', function() {
+            createElmsWrap({ tag: 'link', attr: { rel: 'stylesheet', href: '/base/tests/fixtures/test-value.css' } });
+
+            return cssVars({
+                include   : '[data-test]',
+                onlyLegacy: false,
+                updateDOM : false,
+                onSuccess() {
+                    throw new Error('onSuccess error');
+                }
+            }).then(() => {
+                throw new Error('Promise was resolved');
+            }, err => {
+                expect(err.message).to.equal('onSuccess error');
+            });
+        });
+
+        it('rejects when onError throws an error', function() {
+            createElmsWrap({ tag: 'style', text: ':root { --error: red;' });
+
+            let promise;
+
+            expect(() => {
+                promise = cssVars({
+                    include   : '[data-test]',
+                    onlyLegacy: false,
+                    silent    : true,
+                    updateDOM : false,
+                    onError() {
+                        throw new Error('onError error');
+                    }
+                });
+            }).to.not.throw();
+
+            return promise.then(() => {
+                throw new Error('Promise was resolved');
+            }, err => {
+                expect(err.message).to.equal('onError error');
+            });
+        });
+    });
+
+    // Tests: Controller
+    // -------------------------------------------------------------------------
+    describe('Controller', function() {
+        it('update() merges variables and regenerates CSS', function() {
+            const styleCss   = ':root { --color: red; --size: 1px; } p { color: var(--color); margin: var(--size); }';
+            const controller = cssVars({
+                include   : '[data-test]',
+                onlyLegacy: false,
+                updateDOM : false,
+                variables : { size: '2px' }
+            });
+
+            createElmsWrap({ tag: 'style', text: styleCss });
+
+            return controller.update({ color: 'blue' }).then(result => {
+                expect(result.cssText).to.equal('p{color:blue;margin:2px;}');
+
+                return controller.then(result => {
+                    expect(result.cssText, 'controller.then() result').to.equal('p{color:blue;margin:2px;}');
+                });
+            });
+        });
+
+        it('update() normalizes variable names', function() {
+            const controller = cssVars({
+                include   : '[data-test]',
+                onlyLegacy: false,
+                updateDOM : false,
+                variables : { color: 'red', '--size': '1px' }
+            });
+
+            createElmsWrap({ tag: 'style', text: 'p { color: var(--color); margin: var(--size); }' });
+
+            return controller.update({ '--color': 'blue', size: '2px' }).then(result => {
+                expect(result.cssText).to.equal('p{color:blue;margin:2px;}');
+            });
+        });
+
+        it('update() variables are used when DOM mutations are observed', function(done) {
+            const cssTexts   = [];
+            const controller = cssVars({
+                id        : 'watch-update',
+                include   : '[data-test]',
+                onlyLegacy: false,
+                variables : { color: 'red' },
+                watch     : true,
+                onComplete(cssText) {
+                    cssTexts.push(cssText);
+                }
+            });
+
+            createElmsWrap({ tag: 'style', text: 'p { color: var(--color); }' });
+
+            controller.update({ color: 'blue' }).then(() => {
+                createElmsWrap({ tag: 'style', text: 'h1 { color: var(--color); }' });
+
+                setTimeout(function() {
+                    expect(cssTexts[cssTexts.length - 1]).to.equal('p{color:blue;}h1{color:blue;}');
+                    controller.destroy();
+                    done();
+                }, 100);
+            });
+        });
+
+        it('refresh() regenerates CSS', function() {
+            const controller = cssVars({
+                include   : '[data-test]',
+                onlyLegacy: false,
+                updateDOM : false
+            });
+
+            createElmsWrap({ tag: 'style', text: ':root { --color: red; } p { color: var(--color); }' });
+
+            return controller.refresh().then(result => {
+                expect(result.cssText).to.equal('p{color:red;}');
+            });
+        });
+
+        it('pause() and resume() stop and resume watching', function(done) {
+            const styleCss   = ':root { --color: red; } p { color: var(--color); }';
+            const controller = cssVars({
+                include   : '[data-test]',
+                onlyLegacy: false,
+                watch     : true
+            });
+
+            controller.then(() => {
+                const styleNode = document.querySelector('#css-vars-ponyfill');
+
+                if (styleNode) {
+                    styleNode.parentNode.removeChild(styleNode);
+                }
+
+                controller.pause();
+                createElmsWrap({ tag: 'style', text: styleCss });
+
+                setTimeout(function() {
+                    expect(document.querySelector('#css-vars-ponyfill'), 'paused').to.equal(null);
+
+                    controller.resume().then(result => {
+                        expect(result.cssText, 'resumed').to.equal('p{color:red;}');
+                        controller.destroy();
+                        done();
+                    }).catch(done);
+                }, 50);
+            });
+        });
+
+        it('destroy() cancels runs in progress', function() {
+            const controller = cssVars({
+                include   : '[data-test]',
+                onlyLegacy: false,
+                variables : { color: 'blue' },
+                watch     : true
+            });
+
+            createElmsWrap({ tag: 'link', attr: { rel: 'stylesheet', href: '/base/tests/fixtures/test-value.css' } });
+
+            const refreshPromise = controller.refresh();
+
+            controller.destroy();
+
+            return refreshPromise.then(result => {
+                expect(result.cssText, 'cssText').to.equal('');
+                expect(document.querySelector('#css-vars-ponyfill'), '<style>').to.equal(null);
+
+                return controller.refresh().then(() => {
+                    throw new Error('refresh() resolved after destroy()');
+                }, err => {
+                    expect(err.message).to.include('destroyed');
+                });
+            }).then(() => {
+                // Persisted variables were not restored by the pending run
+                return cssVars({
+                    include   : '[data-test]',
+                    onlyLegacy: false,
+                    updateDOM : false
+                });
+            }).then(result => {
+                expect(result.cssText).to.equal('p{color:var(--color);}');
+            });
+        });
+
+        it('destroy() removes <style> and clears persisted variables', function() {
+            const styleCss   = ':root { --color: red; } p { color: var(--color); }';
+            const controller = cssVars({
+                include   : '[data-test]',
+                onlyLegacy: false,
+                variables : { color: 'blue' }
+            });
+
+            createElmsWrap({ tag: 'style', text: styleCss });
+
+            return controller.refresh().then(result => {
+                expect(result.cssText).to.include('p{color:blue;}');
+
+                controller.destroy();
+
+                expect(document.querySelector('#css-vars-ponyfill')).to.equal(null);
+
+                return cssVars({
+                    include   : '[data-test]',
+                    onlyLegacy: false,
+                    updateDOM : false
+                });
+            }).then(result => {
+                expect(result.cssText).to.equal('p{color:red;}');
+            });
+        });
+    });
+
+    // Tests: Instances
+    // -------------------------------------------------------------------------
+    describe('Instances', function() {
+        it('generates isolated output and state for each options.id', function() {
+            const styleCss    = ':root { --color: red; } p { color: var(--color); }';
+            const controllerA = cssVars({
+                id        : 'widget-a',
+                include   : '[data-widget="a"]',
+                onlyLegacy: false,
+                variables : { color: 'blue' }
+            });
+            const controllerB = cssVars({
+                id        : 'widget-b',
+                include   : '[data-widget="b"]',
+                onlyLegacy: false
+            });
+
+            createElmsWrap([
+                { tag: 'style', text: styleCss, attr: { 'data-widget': 'a' } },
+                { tag: 'style', text: styleCss, attr: { 'data-widget': 'b' } }
+            ]);
+
+            return Promise.all([controllerA.refresh(), controllerB.refresh()]).then(results => {
+                expect(results[0].cssText, 'widget-a').to.equal('p{color:blue;}');
+                expect(results[1].cssText, 'widget-b').to.equal('p{color:red;}');
+                expect(document.getElementById('widget-a').textContent, 'widget-a <style>').to.equal('p{color:blue;}');
+                expect(document.getElementById('widget-b').textContent, 'widget-b <style>').to.equal('p{color:red;}');
+
+                controllerA.destroy();
+
+                expect(document.getElementById('widget-a'), 'widget-a destroyed').to.equal(null);
+                expect(document.getElementById('widget-b'), 'widget-b retained').to.not.equal(null);
+
+                // Persisted variables of widget-a are not applied to widget-b
+                return controllerB.refresh();
+            }).then(result => {
+                expect(result.cssText, 'widget-b refreshed').to.equal('p{color:red;}');
+
+                controllerB.destroy();
+            });
+        });
+
+        it('supports ids that are not valid CSS identifiers', function() {
+            const ids         = ['widget.a', '1w'];
+            const styleCss    = ':root { --color: red; } p { color: var(--color); }';
+            const controllers = [];
+
+            createElmsWrap({ tag: 'style', text: styleCss });
+
+            return Promise.all(ids.map(id => {
+                const controller = cssVars({
+                    id        : id,
+                    include   : 'style',
+                    onlyLegacy: false
+                });
+
+                controllers.push(controller);
+
+                return controller
+                    .then(() => controller.refresh())
+                    .then(result => {
+                        expect(result.errors, `${id} errors`).to.have.lengthOf(0);
+                        expect(result.cssText, `${id} cssText`).to.equal('p{color:red;}');
+                    });
+            })).then(() => {
+                ids.forEach(id => {
+                    const styleNodes = Array.apply(null, document.querySelectorAll('style')).filter(node => node.id === id);
+
+                    expect(styleNodes, `${id} <style>`).to.have.lengthOf(1);
+                    expect(styleNodes[0].textContent, `${id} <style> text`).to.equal('p{color:red;}');
+                });
+
+                controllers.forEach(controller => controller.destroy());
+            });
+        });
+
+        it('excludes the generated <style> of other instances', function() {
+            const styleCss    = ':root { --color: red; } p { color: var(--color); }';
+            const controllerA = cssVars({
+                id        : 'widget-a',
+                include   : '[data-test]',
+                onlyLegacy: false
+            });
+
+            createElmsWrap({ tag: 'style', text: styleCss });
+
+            return controllerA.refresh().then(() => {
+                const controllerB = cssVars({
+                    id        : 'widget-b',
+                    include   : 'style',
+                    onlyLegacy: false
+                });
+
+                return controllerB.then(result => {
+                    expect(result.cssText).to.equal('p{color:red;}');
+
+                    controllerA.destroy();
+                    controllerB.destroy();
+                });
+            });
+        });
+    });
+
+    // Tests: Methods
+    // -------------------------------------------------------------------------
+    describe('Methods', function() {
+        describe('registerProperty', function() {
+            it('uses registered initial value for undefined variable', function() {
+                const styleCss  = 'p { color: var(--registered-color); }';
+                const expectCss = 'p{color:red;}';
+
+                cssVars.registerProperty({
+                    name        : '--registered-color',
+                    syntax      : '<color>',
+                    inherits    : true,
+                    initialValue: 'red'
+                });
+
+                createElmsWrap({ tag: 'style', text: styleCss });
+
+                cssVars({
+                    include   : '[data-test]',
+                    onlyLegacy: false,
+                    onComplete(cssText, styleNode) {
+                        expect(cssText).to.equal(expectCss);
+                    }
+                });
+            });
+
+            it('throws an error when name is invalid', function() {
+                const badFn = function() {
+                    cssVars.registerProperty({ name: 'invalid', inherits: true });
+                };
+
+                expect(badFn).to.throw(Error, 'not a custom property name');
+            });
+
+            it('throws an error when initial value does not match syntax', function() {
+                const badFn = function() {
+                    cssVars.registerProperty({ name: '--registered-length', syntax: '<length>', inherits: true, initialValue: 'red' });
+                };
+
+                expect(badFn).to.throw(Error, 'does not match syntax');
+            });
+
+            it('throws an error when property is already registered', function() {
+                const descriptor = { name: '--registered-twice', inherits: true };
+                const badFn = function() {
+                    cssVars.registerProperty(descriptor);
+                };
+
+                cssVars.registerProperty(descriptor);
+
+                expect(badFn).to.throw(Error, 'already been registered');
+            });
+        });
+    });
+
     // Tests: Updates
     // -------------------------------------------------------------------------
     describe('Updates', function() {
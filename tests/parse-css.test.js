@@ -29,6 +29,162 @@ describe('parse-css', function() {
         expect(ast).to.have.property('type', 'stylesheet');
     });
 
+    it('parses custom property values', function() {
+        const css = `
+            :root {
+                --json: { "a": 1; "b": [1, 2] };
+                --sep: ";";
+                --brace: "}";
+                --url: url(data:image/png;base64,abc);
+                --größe: 10px;
+                --a\\:b: red;
+                --comment: 1 /* ; */;
+            }
+        `;
+        const decls = parseCss(css).stylesheet.rules[0].declarations;
+
+        expect(decls.map(decl => [decl.property, decl.value])).to.deep.equal([
+            ['--json', '{ "a": 1; "b": [1, 2] }'],
+            ['--sep', '";"'],
+            ['--brace', '"}"'],
+            ['--url', 'url(data:image/png;base64,abc)'],
+            ['--größe', '10px'],
+            ['--a\\:b', 'red'],
+            ['--comment', '1']
+        ]);
+    });
+
+    it('parses !important flags', function() {
+        const css   = 'p { color: red !important; width: 0 ! IMPORTANT; --a: "!important"; }';
+        const decls = parseCss(css).stylesheet.rules[0].declarations;
+
+        expect(decls.map(decl => [decl.value, decl.important])).to.deep.equal([
+            ['red', true],
+            ['0', true],
+            ['"!important"', undefined]
+        ]);
+    });
+
+    it('records raw text when the "raws" option is true', function() {
+        const css   = '/* a */\np {\n  color : red ! important;\n}\n';
+        const rules = parseCss(css, { raws: true }).stylesheet.rules;
+        const decl  = rules[1].declarations[0];
+
+        expect(rules[0].raws.text).to.equal('/* a */');
+        expect(rules[1].raws).to.include({
+            before: '\n',
+            open  : 'p {',
+            after : ';\n'
+        });
+        expect(decl.raws).to.include({
+            before    : '\n  ',
+            property  : 'color',
+            between   : ' : ',
+            value     : 'red',
+            important : ' ! important',
+            afterValue: ''
+        });
+        expect(parseCss('p { color: red /* a */ ; }', { raws: true }).stylesheet.rules[0].declarations[0].raws).to.include({
+            value     : 'red',
+            afterValue: ' /* a */ '
+        });
+        expect(parseCss(css).stylesheet.rules[1].raws).to.be.undefined;
+    });
+
+    it('parses unknown at-rules', function() {
+        const css = `
+            @layer reset, base;
+            @container card (min-width: calc(10em + 2px)) { p { color: red; } }
+            @counter-style thumbs { system: cyclic; symbols: "{" ";"; }
+            @layer {}
+        `;
+        const rules = parseCss(css).stylesheet.rules;
+
+        expect(rules.map(rule => [rule.type, rule.name, rule.prelude])).to.deep.equal([
+            ['at-rule', 'layer', 'reset, base'],
+            ['at-rule', 'container', 'card (min-width: calc(10em + 2px))'],
+            ['at-rule', 'counter-style', 'thumbs'],
+            ['at-rule', 'layer', '']
+        ]);
+        expect(rules[0]).to.not.have.any.keys('rules', 'declarations');
+        expect(rules[1].rules[0].selectors).to.deep.equal(['p']);
+        expect(rules[2].declarations.map(decl => decl.value)).to.deep.equal(['cyclic', '"{" ";"']);
+        expect(rules[3].rules).to.deep.equal([]);
+    });
+
+    it('records the start and end offset of each node', function() {
+        const css   = '/* comment */\n@media screen {\n    p { color: red; }\n}';
+        const ast   = parseCss(css);
+        const media = ast.stylesheet.rules[1];
+        const rule  = media.rules[0];
+        const decl  = rule.declarations[0];
+        const slice = node => css.slice(node.position.start.offset, node.position.end.offset);
+
+        expect(slice(ast.stylesheet.rules[0])).to.equal('/* comment */');
+        expect(slice(media)).to.equal('@media screen {\n    p { color: red; }\n}');
+        expect(slice(rule)).to.equal('p { color: red; }');
+        expect(slice(decl)).to.equal('color: red');
+    });
+
+    it('records the start and end line, column, and source of each node', function() {
+        const source1 = 'a { top: 0; }\n';
+        const source2 = '\n@media screen {\n    p { color: red; }\n}';
+        const ast     = parseCss(source1 + source2, {
+            sources: [
+                { name: 'a.css', content: source1 },
+                { name: 'b.css', content: source2 }
+            ]
+        });
+        const media = ast.stylesheet.rules[1];
+        const decl  = media.rules[0].declarations[0];
+
+        expect(ast.stylesheet.rules[0].position).to.deep.equal({
+            start : { offset: 0, line: 1, column: 1 },
+            end   : { offset: 13, line: 1, column: 14 },
+            source: 'a.css'
+        });
+        expect(media.position.start).to.include({ line: 2, column: 1 });
+        expect(media.position.end).to.include({ line: 4, column: 2 });
+        expect(media.position.source).to.equal('b.css');
+        expect(decl.position.start).to.include({ line: 3, column: 9 });
+        expect(decl.position.end).to.include({ line: 3, column: 19 });
+    });
+
+    it('includes the line and column in error messages', function() {
+        const css   = 'a { top: 0; }\np { color red; }';
+        const badFn = function() {
+            parseCss(css, { sources: [{ name: 'a.css', content: css }] });
+        };
+
+        expect(badFn).to.throw(Error, 'CSS parse error: a.css:2:11 property missing \':\'');
+    });
+
+    it('recovers from errors and populates stylesheet.errors in tolerant mode', function() {
+        const css = `
+            p { color red; margin: 0; }
+            a { height: 0; }}
+            @media screen { p { color red; } a { height: 0; } }
+            @keyframes { from { opacity: 0; } }
+            b { height: 0; }
+        `;
+        const ast    = parseCss(css, { tolerant: true });
+        const rules  = ast.stylesheet.rules;
+        const errors = ast.stylesheet.errors;
+
+        expect(rules.map(rule => rule.type)).to.deep.equal(['rule', 'rule', 'media', 'rule']);
+        expect(rules[0].declarations).to.have.length(1);
+        expect(rules[2].rules).to.have.length(2);
+        expect(errors.map(err => err.message)).to.deep.equal([
+            'property missing \':\'',
+            'extra closing bracket',
+            'property missing \':\'',
+            '@keyframes missing name'
+        ]);
+        expect(errors[0].excerpt).to.equal('color red;');
+        expect(errors[0].offset).to.equal(css.indexOf('red;'));
+        expect(errors[0]).to.include({ line: 2, column: 23 });
+    });
+
     it('throws an error when parsing missing opening bracket', function() {
         const css = 'p color: red; }';
         const badFn = function() {
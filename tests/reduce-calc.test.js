@@ -0,0 +1,45 @@
+// Dependencies
+// =============================================================================
+import loadFixtures from './helpers/load-fixtures';
+import parseCss     from '../src/parse-css';
+import reduceCalc   from '../src/reduce-calc';
+import { expect }   from 'chai';
+
+
+// Suite
+// =============================================================================
+describe('reduce-calc', function() {
+    const fixtures = {};
+
+    // Hooks
+    // -------------------------------------------------------------------------
+    before(async function() {
+        await loadFixtures({
+            base: '/base/tests/fixtures/',
+            urls : [
+                'test-calc.css',
+                'test-calc-reduced.css'
+            ]
+        }, fixtures);
+    });
+
+    // Tests
+    // -------------------------------------------------------------------------
+    it('reduces calc() values', function() {
+        const rulesIn     = parseCss(fixtures['test-calc.css']).stylesheet.rules.filter(rule => rule.type === 'rule');
+        const rulesExpect = parseCss(fixtures['test-calc-reduced.css']).stylesheet.rules.filter(rule => rule.type === 'rule');
+
+        expect(rulesIn).to.have.length(rulesExpect.length);
+
+        rulesIn.forEach((rule, i) => {
+            const valueIn     = rule.declarations[0].value;
+            const valueExpect = rulesExpect[i].declarations[0].value;
+
+            expect(reduceCalc(valueIn), rule.selectors[0]).to.equal(valueExpect);
+        });
+    });
+
+    it('returns values with unbalanced parenthesis unchanged', function() {
+        expect(reduceCalc('calc(1px + 2px')).to.equal('calc(1px + 2px');
+    });
+});
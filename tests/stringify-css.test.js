@@ -34,6 +34,160 @@ describe('stringify-css', function() {
         expect(cssOut).to.equal(expectCss);
     });
 
+    it('accepts an options object', function() {
+        const cssIn     = 'p { color: red; } a { color: blue; }';
+        const cssAst    = parseCss(cssIn);
+        const cssOut    = stringifyCss(cssAst, { delim: '\n' });
+        const expectCss = 'p{color:red;}\na{color:blue;}\n';
+
+        expect(cssOut).to.equal(expectCss);
+    });
+
+    it('converts unknown at-rules to string', function() {
+        const cssIn = `
+            @layer reset, base;
+            @layer base { p { color: red; } }
+            @layer theme { @layer dark; }
+            @container (min-width: 400px) { p { color: blue; } }
+            @-ms-viewport { width: device-width; }
+            @font-feature-values Font One { @styleset { nice-style: 12; } }
+        `;
+        const cssAst    = parseCss(cssIn);
+        const cssOut    = stringifyCss(cssAst);
+        const expectCss = [
+            '@layer reset, base;',
+            '@layer base{p{color:red;}}',
+            '@layer theme{@layer dark;}',
+            '@container (min-width: 400px){p{color:blue;}}',
+            '@-ms-viewport{width:device-width;}',
+            '@font-feature-values Font One{@styleset{nice-style:12;}}'
+        ].join('');
+
+        expect(cssOut).to.equal(expectCss);
+    });
+
+    it('converts AST to formatted string when "format" is set', function() {
+        const cssIn  = 'h1 , p { color: rgba( 0, 0,  0 ); content: "a  b"; } @media ( min-width: 1px ) { p { margin: 0; } }';
+        const cssAst = parseCss(cssIn);
+
+        expect(stringifyCss(cssAst, { format: 'compact' })).to.equal(stringifyCss(cssAst));
+        expect(stringifyCss(cssAst, { format: 'minify' })).to.equal('h1,p{color:rgba(0,0,0);content:"a  b"}@media (min-width: 1px){p{margin:0}}');
+        expect(stringifyCss(cssAst, { format: 'pretty' })).to.equal([
+            'h1,',
+            'p {',
+            '  color: rgba( 0, 0,  0 );',
+            '  content: "a  b";',
+            '}',
+            '@media ( min-width: 1px ) {',
+            '  p {',
+            '    margin: 0;',
+            '  }',
+            '}'
+        ].join('\n'));
+        expect(stringifyCss(cssAst, { format: { indent: '\t', newline: '\n', space: ' ' } })).to.equal([
+            'h1,p {',
+            '\tcolor: rgba( 0, 0,  0 );',
+            '\tcontent: "a  b";',
+            '}',
+            '@media ( min-width: 1px ) {',
+            '\tp {',
+            '\t\tmargin: 0;',
+            '\t}',
+            '}'
+        ].join('\n'));
+    });
+
+    it('indents selectors of nested rules when "format" is "pretty"', function() {
+        const cssIn  = '@media print { h1, p { margin: 0; } }';
+        const cssAst = parseCss(cssIn);
+
+        expect(stringifyCss(cssAst, { format: 'pretty' })).to.equal([
+            '@media print {',
+            '  h1,',
+            '  p {',
+            '    margin: 0;',
+            '  }',
+            '}'
+        ].join('\n'));
+    });
+
+    it('converts !important flags to string', function() {
+        const cssIn     = 'p { color: red !important; --a: 1 ! important; }';
+        const cssAst    = parseCss(cssIn);
+        const cssOut    = stringifyCss(cssAst);
+        const expectCss = 'p{color:red!important;--a:1!important;}';
+
+        expect(cssOut).to.equal(expectCss);
+    });
+
+    it('converts AST to original string when "lossless" is true', function() {
+        const cssIn  = fixtures['test-parse.css'];
+        const cssAst = parseCss(cssIn, { raws: true });
+        const cssOut = stringifyCss(cssAst, { lossless: true });
+
+        expect(cssOut).to.equal(cssIn);
+    });
+
+    it('converts modified nodes to string when "lossless" is true', function() {
+        const cssIn  = '/* a */\np {\n  color : red ! important;\n  margin: 0;\n}\n';
+        const cssAst = parseCss(cssIn, { raws: true });
+        const rule   = cssAst.stylesheet.rules[1];
+
+        rule.selectors = ['a'];
+        rule.declarations[0].value = 'blue';
+        rule.declarations.splice(1, 1);
+
+        const cssOut    = stringifyCss(cssAst, { lossless: true });
+        const expectCss = '/* a */\na{\n  color : blue ! important;\n}\n';
+
+        expect(cssOut).to.equal(expectCss);
+    });
+
+    it('retains text following modified values when "lossless" is true', function() {
+        const cssIn  = 'p {\n  color: var(--c, red)\n}\na { color: var(--c) /* x */; }';
+        const cssAst = parseCss(cssIn, { raws: true });
+
+        cssAst.stylesheet.rules[0].declarations[0].value = 'red';
+        cssAst.stylesheet.rules[1].declarations[0].value = 'blue';
+
+        const cssOut    = stringifyCss(cssAst, { lossless: true });
+        const expectCss = 'p {\n  color: red\n}\na { color: blue /* x */; }';
+
+        expect(cssOut).to.equal(expectCss);
+    });
+
+    it('retains license comments when "keepLicense" is true', function() {
+        const cssIn     = '/*! license */ /* comment */ p { color: red; }';
+        const cssAst    = parseCss(cssIn);
+        const cssOut    = stringifyCss(cssAst, { keepLicense: true });
+        const expectCss = '/*! license */p{color:red;}';
+
+        expect(cssOut).to.equal(expectCss);
+        expect(stringifyCss(cssAst)).to.equal('p{color:red;}');
+    });
+
+    it('generates a source map', function() {
+        const cssIn  = 'p {\n    color: red;\n}';
+        const cssAst = parseCss(cssIn);
+
+        let sourceMap;
+
+        stringifyCss(cssAst, {
+            sourceMap: true,
+            sources  : [{ name: 'test.css', content: cssIn }],
+            onSourceMap(map) {
+                sourceMap = map;
+            }
+        });
+
+        expect(sourceMap).to.include({
+            version : 3,
+            mappings: 'AAAA,EACI'
+        });
+        expect(sourceMap.sources).to.deep.equal(['test.css']);
+        expect(sourceMap.sourcesContent).to.deep.equal([cssIn]);
+    });
+
     it('triggers callback for each node', function() {
         const cssIn  = 'p { color: red; }';
         const cssAst = parseCss(cssIn);
@@ -102,6 +102,22 @@ describe('transform-css', function() {
             expect(cssOut).to.equal(expectCss);
         });
 
+        it('transforms variables with special characters in names and values', function() {
+            const cssIn = `
+                :root {
+                    --größe: 10px;
+                    --a\\:b: red;
+                    --sep: ";";
+                    --json: { "a": 1 };
+                }
+                p { width: var(--größe); color: var(--a\\:b); content: var(--sep); --data: var(--json); }
+            `;
+            const cssOut    = transformCss(cssIn);
+            const expectCss = 'p{width:10px;color:red;content:";";--data:{ "a": 1 };}';
+
+            expect(cssOut).to.equal(expectCss);
+        });
+
         it('transforms variable function fallback', function() {
             const cssIn     = 'p { color: var(--fail, red); }';
             const cssOut    = transformCss(cssIn);
@@ -109,11 +125,316 @@ describe('transform-css', function() {
 
             expect(cssOut).to.equal(expectCss);
         });
+
+        it('transforms :root variable in @media and @supports', function() {
+            const cssIn = `
+                :root { --color: red; --size: 1px; }
+                @media print {
+                    :root { --color: black; }
+                }
+                @supports (display: grid) {
+                    @media (min-width: 600px) {
+                        :root { --size: 2px; }
+                    }
+                }
+                p { color: var(--color); margin: var(--size); }
+            `;
+            const onWarningMsgs = [];
+            const cssOut        = transformCss(cssIn, {
+                onWarning(msg) {
+                    onWarningMsgs.push(msg);
+                }
+            });
+            const expectCss = [
+                'p{color:red;margin:1px;}',
+                '@media print{p{color:black;}}',
+                '@supports (display: grid){@media (min-width: 600px){p{margin:2px;}}}'
+            ].join('');
+
+            expect(cssOut).to.equal(expectCss);
+            expect(onWarningMsgs).to.have.length(0);
+        });
+
+        it('transforms :root variable in @media without unconditional :root variable', function() {
+            const cssIn = `
+                @media print {
+                    :root { --color: red; }
+                    p { color: var(--color); }
+                }
+                a { color: var(--color); }
+            `;
+            const onWarningMsgs = [];
+            const cssOut        = transformCss(cssIn, {
+                onWarning(msg) {
+                    onWarningMsgs.push(msg);
+                }
+            });
+            const expectCss = '@media print{p{color:red;}}@media print{a{color:red;}}';
+
+            expect(cssOut).to.equal(expectCss);
+            expect(onWarningMsgs).to.have.length(0);
+        });
+
+        it('transforms :root variable in @media consumed in @media', function() {
+            const cssIn = `
+                :root { --size: 1px; }
+                @media (min-width: 600px) {
+                    :root { --size: 2px; }
+                    a { margin: var(--size); }
+                }
+                @media screen {
+                    p { margin: var(--size); }
+                }
+            `;
+            const onWarningMsgs = [];
+            const cssOut        = transformCss(cssIn, {
+                onWarning(msg) {
+                    onWarningMsgs.push(msg);
+                }
+            });
+            const expectCss = [
+                '@media (min-width: 600px){a{margin:1px;}a{margin:2px;}}',
+                '@media screen{p{margin:1px;}}',
+                '@media screen and (min-width: 600px){p{margin:2px;}}'
+            ].join('');
+
+            expect(cssOut).to.equal(expectCss);
+            expect(onWarningMsgs).to.have.length(0);
+        });
+
+        it('transforms :root variable in @media overridden by subsequent :root variable', function() {
+            const cssIn = `
+                @media print {
+                    :root { --color: black; }
+                }
+                :root { --color: red; }
+                p { color: var(--color); }
+            `;
+            const onWarningMsgs = [];
+            const cssOut        = transformCss(cssIn, {
+                onWarning(msg) {
+                    onWarningMsgs.push(msg);
+                }
+            });
+            const expectCss = 'p{color:red;}';
+
+            expect(cssOut).to.equal(expectCss);
+            expect(onWarningMsgs).to.have.length(0);
+        });
+
+        it('transforms :root variable using @layer precedence', function() {
+            const cssIn = `
+                @layer base, theme;
+                :root { --color: unlayered; }
+                @layer theme {
+                    :root { --color: theme; --size: theme; }
+                }
+                @layer base {
+                    :root { --color: base; --size: base; --weight: base; }
+                    @layer reset {
+                        :root { --weight: reset; }
+                    }
+                }
+                p { color: var(--color); font-size: var(--size); font-weight: var(--weight); }
+            `;
+            const cssOut    = transformCss(cssIn);
+            const expectCss = '@layer base, theme;p{color:unlayered;font-size:theme;font-weight:base;}';
+
+            expect(cssOut).to.equal(expectCss);
+        });
+
+        it('transforms :root variable in @media within @layer', function() {
+            const cssIn = `
+                @layer base {
+                    @media screen { :root { --color: base; } }
+                }
+                :root { --color: red; }
+                @layer theme {
+                    @media print { :root { --size: 1px; } }
+                }
+                p { color: var(--color); font-size: var(--size); }
+            `;
+            const onWarningMsgs = [];
+            const cssOut        = transformCss(cssIn, {
+                onWarning(msg) {
+                    onWarningMsgs.push(msg);
+                }
+            });
+            const expectCss = 'p{color:red;}@media print{p{font-size:1px;}}';
+
+            expect(cssOut).to.equal(expectCss);
+            expect(onWarningMsgs).to.have.length(0);
+        });
+
+        it('transforms :root variable using !important precedence', function() {
+            const cssIn = `
+                @layer base, theme;
+                :root { --color: red !important; --size: 1px !important; }
+                :root { --color: blue; }
+                @layer base { :root { --size: 2px !important; } }
+                @layer theme { :root { --size: 3px !important; } }
+                p { color: var(--color); font-size: var(--size) !important; }
+            `;
+            const cssOut    = transformCss(cssIn);
+            const expectCss = '@layer base, theme;p{color:red;font-size:2px!important;}';
+
+            expect(cssOut).to.equal(expectCss);
+        });
+
+        it('transforms self-referencing variable using fallback', function() {
+            const cssIn = `
+                :root { --color: var(--color); }
+                p { color: var(--color, red); }
+            `;
+            const cssOut    = transformCss(cssIn);
+            const expectCss = 'p{color:red;}';
+
+            expect(cssOut).to.equal(expectCss);
+        });
+
+        it('transforms mutually-referencing variables using fallback', function() {
+            const cssIn = `
+                :root {
+                    --a: var(--b);
+                    --b: var(--c, 1px);
+                    --c: var(--a);
+                    --d: var(--a, 2px);
+                }
+                p { margin: var(--a, 3px) var(--d); }
+            `;
+            const cssOut    = transformCss(cssIn);
+            const expectCss = 'p{margin:3px 2px;}';
+
+            expect(cssOut).to.equal(expectCss);
+        });
+
+        it('transforms @custom-media references', function() {
+            const cssIn = `
+                @custom-media --narrow (max-width: 30em);
+                @custom-media --wide screen and (min-width: 60em);
+                @media (--narrow) { p { height: 0; } }
+                @media (--narrow) and (orientation: landscape), print { p { height: 0; } }
+                @media not (--wide) { p { height: 0; } }
+            `;
+            const cssOut    = transformCss(cssIn, { onlyVars: false });
+            const expectCss = [
+                '@media (max-width: 30em){p{height:0;}}',
+                '@media (max-width: 30em) and (orientation: landscape), print{p{height:0;}}',
+                '@media not screen and (min-width: 60em){p{height:0;}}'
+            ].join('');
+
+            expect(cssOut).to.equal(expectCss);
+        });
+
+        it('transforms chained and negated @custom-media references', function() {
+            const cssIn = `
+                @custom-media --narrow (max-width: 30em);
+                @custom-media --wide (min-width: 60em);
+                @custom-media --edges (--narrow), (--wide);
+                @custom-media --not-narrow not all and (--narrow);
+                @media (--edges) { p { height: 0; } }
+                @media (--not-narrow) { p { height: 0; } }
+                @media not all and (--not-narrow) { p { height: 0; } }
+            `;
+            const cssOut    = transformCss(cssIn, { onlyVars: false });
+            const expectCss = [
+                '@media (max-width: 30em), (min-width: 60em){p{height:0;}}',
+                '@media not all and (max-width: 30em){p{height:0;}}',
+                '@media all and (max-width: 30em){p{height:0;}}'
+            ].join('');
+
+            expect(cssOut).to.equal(expectCss);
+        });
+
+        it('transforms @custom-media references retaining rules without variables', function() {
+            const cssIn = `
+                :root { --color: red; }
+                @custom-media --narrow (max-width: 30em);
+                @media (--narrow) {
+                    p { color: var(--color); }
+                    a { height: 0; }
+                }
+                @media screen { a { height: 0; } }
+            `;
+            const cssOut    = transformCss(cssIn);
+            const expectCss = '@media (max-width: 30em){p{color:red;}a{height:0;}}';
+
+            expect(cssOut).to.equal(expectCss);
+        });
     });
 
     // Tests: Options
     // -------------------------------------------------------------------------
     describe('Options', function() {
+        describe('cache', function() {
+            afterEach(function() {
+                transformCss.clearCache();
+            });
+
+            it('true (matches uncached output)', function() {
+                const sources = [
+                    { name: 'a.css', content: '/* a */\n:root { --color: red; }\n' },
+                    { name: 'b.css', content: '' },
+                    { name: 'c.css', content: 'p {\n  color: var(--color);\n  margin 0;\n}\n' }
+                ];
+                const cssIn   = sources.map(source => source.content).join('');
+
+                function transform(cache) {
+                    const result = { warnings: [] };
+
+                    result.cssText = transformCss(cssIn, {
+                        cache    : cache,
+                        sources  : sources,
+                        sourceMap: true,
+                        tolerant : true,
+                        onSourceMap(map) {
+                            result.sourceMap = map;
+                        },
+                        onWarning(msg) {
+                            result.warnings.push(msg);
+                        }
+                    });
+
+                    return result;
+                }
+
+                const expectResult = transform(false);
+
+                expect(transform(true), 'parsed').to.deep.equal(expectResult);
+                expect(transform(true), 'cached').to.deep.equal(expectResult);
+                expect(transformCss(cssIn, { cache: true, lossless: true, sources, tolerant: true }), 'lossless').to.equal(transformCss(cssIn, { lossless: true, sources, tolerant: true }));
+            });
+
+            it('true (parses changed sources)', function() {
+                const sources = [
+                    { name: 'a.css', content: ':root { --color: red; }' },
+                    { name: 'b.css', content: 'p { color: var(--color); }' }
+                ];
+
+                function transform() {
+                    return transformCss(sources.map(source => source.content).join(''), { cache: true, sources });
+                }
+
+                expect(transform()).to.equal('p{color:red;}');
+
+                sources[0].content = ':root { --color: blue; }';
+
+                expect(transform()).to.equal('p{color:blue;}');
+            });
+
+            it('string (isolates cached ASTs by key)', function() {
+                const sources = [{ name: 'a.css', content: ':root { --color: red; } p { color: var(--color); }' }];
+                const cssIn   = sources[0].content;
+
+                expect(transformCss(cssIn, { cache: 'a', sources }), 'key a').to.equal('p{color:red;}');
+                expect(transformCss(cssIn, { cache: 'b', lossless: true, sources }), 'key b').to.equal(' p { color: red; }');
+
+                transformCss.clearCache('a');
+
+                expect(transformCss(cssIn, { cache: 'a', sources }), 'cleared key a').to.equal('p{color:red;}');
+            });
+        });
+
         describe('fixNestedCalc', function() {
             it('true (without vars)', function() {
                 const cssIn = 'p { margin: calc(1px + calc(2px + calc(3px + 3px))); }';
@@ -156,6 +477,142 @@ describe('transform-css', function() {
             });
         });
 
+        describe('format', function() {
+            it('compact (default)', function() {
+                const cssIn     = ':root { --color: red; } h1, p { color: var(--color); margin: 0; }';
+                const cssOut    = transformCss(cssIn, { onlyVars: false });
+                const expectCss = 'h1,p{color:red;margin:0;}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('minify', function() {
+                const cssIn     = ':root { --color: red; } h1, p { color: var(--color); margin: 0; }';
+                const cssOut    = transformCss(cssIn, { format: 'minify', onlyVars: false });
+                const expectCss = 'h1,p{color:red;margin:0}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('pretty', function() {
+                const cssIn     = ':root { --color: red; } h1, p { color: var(--color); margin: 0; }';
+                const cssOut    = transformCss(cssIn, { format: 'pretty', onlyVars: false });
+                const expectCss = 'h1,\np {\n  color: red;\n  margin: 0;\n}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+        });
+
+        describe('functions', function() {
+            const functions = {
+                alpha(color, amount) {
+                    return color === 'red' ? `rgba(255,0,0,${amount})` : null;
+                },
+                darken(color) {
+                    return color === 'white' ? 'red' : undefined;
+                },
+                'color-mix'() {
+                    throw new Error('unsupported');
+                }
+            };
+
+            it('evaluates functions after variables are resolved', function() {
+                const cssIn = `
+                    :root {
+                        --color: red;
+                        --color-alpha: alpha(var(--color), .5);
+                    }
+                    p {
+                        color: var(--color-alpha);
+                        background: ALPHA(var(--color), 1);
+                    }
+                `;
+                const cssOut    = transformCss(cssIn, { functions }).replace(/\n/g, '');
+                const expectCss = 'p{color:rgba(255,0,0,.5);background:rgba(255,0,0,1);}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('evaluates nested functions', function() {
+                const cssIn     = ':root { --color: white; } p { color: alpha(darken(var(--color)), .5); }';
+                const cssOut    = transformCss(cssIn, { functions });
+                const expectCss = 'p{color:rgba(255,0,0,.5);}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('ignores unregistered functions', function() {
+                const cssIn     = ':root { --color: red; } p { color: my-alpha(var(--color), .5); background: rgb(var(--color)); }';
+                const cssOut    = transformCss(cssIn, { functions });
+                const expectCss = 'p{color:my-alpha(red, .5);background:rgb(red);}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('reports unresolvable functions via onWarning', function() {
+                const cssIn         = ':root { --color: blue; } p { color: alpha(var(--color), .5); background: color-mix(in srgb, var(--color), white); }';
+                const onWarningMsgs = [];
+                const cssOut        = transformCss(cssIn, {
+                    functions,
+                    onWarning(msg) {
+                        onWarningMsgs.push(msg);
+                    }
+                });
+                const expectCss     = 'p{color:alpha(blue, .5);background:color-mix(in srgb, blue, white);}';
+                const expectWarns   = [
+                    'CSS transform warning: 1:30 unable to resolve "alpha(blue, .5)"',
+                    'CSS transform warning: 1:62 unable to resolve "color-mix(in srgb, blue, white)"; unsupported'
+                ];
+
+                expect(cssOut).to.equal(expectCss);
+                expect(onWarningMsgs).to.deep.equal(expectWarns);
+            });
+        });
+
+        describe('keepLicense', function() {
+            it('true', function() {
+                const cssIn     = '/*! license */ /* comment */ :root { --color: red; } p { color: var(--color); }';
+                const cssOut    = transformCss(cssIn, { keepLicense: true });
+                const expectCss = '/*! license */p{color:red;}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('false (default)', function() {
+                const cssIn     = '/*! license */ /* comment */ :root { --color: red; } p { color: var(--color); }';
+                const cssOut    = transformCss(cssIn);
+                const expectCss = 'p{color:red;}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+        });
+
+        describe('lossless', function() {
+            it('true', function() {
+                const cssIn     = ':root {\n  --color: red;\n}\n/* Paragraphs */\np {\n  color: var(--color);\n  margin: 0;\n}\n';
+                const cssOut    = transformCss(cssIn, { lossless: true, onlyVars: false });
+                const expectCss = '\n/* Paragraphs */\np {\n  color: red;\n  margin: 0;\n}\n';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('true (preserve)', function() {
+                const cssIn     = ':root {\n  --color: red;\n}\np {\n  color: var(--color);\n}\n';
+                const cssOut    = transformCss(cssIn, { lossless: true, preserve: true });
+                const expectCss = ':root {\n  --color: red;\n}\np {\n  color: red;\n  color: var(--color);\n}\n';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('false (default)', function() {
+                const cssIn     = ':root {\n  --color: red;\n}\n/* Paragraphs */\np {\n  color: var(--color);\n}\n';
+                const cssOut    = transformCss(cssIn);
+                const expectCss = 'p{color:red;}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+        });
+
         // The 'onlyVars' option is used in this module as well as the index.js
         // module. Testing how this options is handled by each module is handled
         // in each module's test file.
@@ -236,6 +693,154 @@ describe('transform-css', function() {
 
                 expect(cssOut).to.equal(expectCss);
             });
+
+            it('true (other at-rules)', function() {
+                const cssIn = `
+                    :root { --color: red; }
+                    @layer reset, base;
+                    @container sidebar (min-width: 400px) {
+                        p { color: var(--color); margin: 0; }
+                    }
+                    @counter-style thumbs {
+                        system: cyclic;
+                        symbols: var(--symbol, "*");
+                    }
+                    @layer base { a { margin: 0; } }
+                `;
+                const cssOut    = transformCss(cssIn, { onlyVars: true });
+                const expectCss = [
+                    '@layer reset, base;',
+                    '@container sidebar (min-width: 400px){p{color:red;}}',
+                    '@counter-style thumbs{system:cyclic;symbols:"*";}'
+                ].join('');
+
+                expect(cssOut).to.equal(expectCss);
+            });
+        });
+
+        describe('persist', function() {
+            afterEach(function() {
+                transformCss.clearPersist();
+            });
+
+            it('true', function() {
+                const cssIn = 'p { color: var(--color); }';
+
+                transformCss(cssIn, { persist: true, variables: { color: 'red' } });
+
+                expect(transformCss(cssIn, { persist: true })).to.equal('p{color:red;}');
+                expect(transformCss(cssIn)).to.equal('p{color:var(--color);}');
+            });
+
+            it('string (isolates variables by key)', function() {
+                const cssIn = 'p { color: var(--color); }';
+
+                transformCss(cssIn, { persist: 'a', variables: { color: 'red' } });
+                transformCss(cssIn, { persist: 'b', variables: { color: 'blue' } });
+
+                expect(transformCss(cssIn, { persist: 'a' }), 'key a').to.equal('p{color:red;}');
+                expect(transformCss(cssIn, { persist: 'b' }), 'key b').to.equal('p{color:blue;}');
+                expect(transformCss(cssIn, { persist: true }), 'default key').to.equal('p{color:var(--color);}');
+
+                transformCss.clearPersist('a');
+
+                expect(transformCss(cssIn, { persist: 'a' }), 'cleared key a').to.equal('p{color:var(--color);}');
+                expect(transformCss(cssIn, { persist: 'b' }), 'retained key b').to.equal('p{color:blue;}');
+            });
+        });
+
+        describe('plugins', function() {
+            it('calls before and after functions in order', function() {
+                const cssIn   = ':root { --color: red; } p { color: var(--color); }';
+                const calls   = [];
+                const plugins = ['a', 'b'].map(name => ({
+                    before(ast, helpers) {
+                        helpers.walkDecls(decl => {
+                            if (decl.property === 'color') {
+                                calls.push(`${name}.before:${decl.value}`);
+                            }
+                        });
+                    },
+                    after(ast, helpers) {
+                        helpers.walkDecls(decl => {
+                            calls.push(`${name}.after:${decl.value}`);
+                        });
+                    }
+                }));
+
+                transformCss(cssIn, { plugins });
+
+                expect(calls).to.deep.equal([
+                    'a.before:var(--color)',
+                    'b.before:var(--color)',
+                    'a.after:red',
+                    'b.after:red'
+                ]);
+            });
+
+            it('passes AST and helpers', function() {
+                const cssIn   = ':root { --color: red; } @media screen { p { color: var(--color); } }';
+                const plugins = [{
+                    before(ast, helpers) {
+                        expect(ast.stylesheet.rules).to.have.length(2);
+                        expect(helpers.options.onlyVars).to.equal(true);
+
+                        helpers.walk((declarations, node, rule) => {
+                            if (node.type === 'media') {
+                                expect(rule.selectors).to.deep.equal(['p']);
+                                expect(declarations).to.equal(rule.declarations);
+                            }
+                        });
+                        helpers.walkDecls((decl, rule) => {
+                            if (decl.property === '--color') {
+                                expect(rule.selectors).to.deep.equal([':root']);
+                            }
+                        });
+                    }
+                }];
+
+                transformCss(cssIn, { plugins });
+            });
+
+            it('transforms declarations before variables are resolved', function() {
+                const cssIn     = ':root { --color: red; } p { color: var(--color); }';
+                const cssOut    = transformCss(cssIn, {
+                    plugins: [{
+                        before(ast, helpers) {
+                            helpers.walkDecls(decl => {
+                                if (decl.property === '--color') {
+                                    decl.value = 'blue';
+                                }
+                            });
+                        }
+                    }]
+                });
+                const expectCss = 'p{color:blue;}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('transforms declarations after variables are resolved', function() {
+                const cssIn     = ':root { --color: red; } p { color: var(--color); }';
+                const cssOut    = transformCss(cssIn, {
+                    plugins: [{
+                        after(ast, helpers) {
+                            helpers.walk((declarations, node, rule) => {
+                                if (rule.selectors[0] === 'p') {
+                                    declarations.unshift({
+                                        type    : 'declaration',
+                                        property: 'background',
+                                        value   : declarations[0].value
+                                    });
+                                }
+                            });
+                        }
+                    }]
+                });
+                const expectCss = 'p{background:red;color:red;}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
         });
 
         describe('preserve', function() {
@@ -293,6 +898,350 @@ describe('transform-css', function() {
             });
         });
 
+        describe('properties', function() {
+            it('uses @property initial-value for undefined variable', function() {
+                const cssIn = `
+                    @property --color {
+                        syntax: '<color>';
+                        inherits: true;
+                        initial-value: red;
+                    }
+                    p { color: var(--color, blue); }
+                `;
+                const cssOut    = transformCss(cssIn);
+                const expectCss = 'p{color:red;}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('uses @property initial-value for invalid variable', function() {
+                const cssIn = `
+                    @property --size {
+                        syntax: '<length> | auto';
+                        inherits: false;
+                        initial-value: 0px;
+                    }
+                    :root { --color: red; --size: var(--color); }
+                    p { width: var(--size); }
+                `;
+                const onWarningMsgs = [];
+                const cssOut        = transformCss(cssIn, {
+                    onWarning(msg) {
+                        onWarningMsgs.push(msg);
+                    }
+                });
+                const expectCss = 'p{width:0px;}';
+
+                expect(cssOut).to.equal(expectCss);
+                expect(onWarningMsgs).to.have.length(1);
+                expect(onWarningMsgs[0]).to.include('does not match registered syntax "<length> | auto"');
+            });
+
+            it('uses @property initial-value for unknown color name', function() {
+                const cssIn = `
+                    @property --brand {
+                        syntax: '<color>';
+                        inherits: true;
+                        initial-value: red;
+                    }
+                    :root { --brand: bleu; --border: currentColor; }
+                    p { color: var(--brand); border-color: var(--border); }
+                `;
+                const onWarningMsgs = [];
+                const cssOut        = transformCss(cssIn, {
+                    properties: {
+                        '--border': { syntax: '<color>', inherits: true, initialValue: 'blue' }
+                    },
+                    onWarning(msg) {
+                        onWarningMsgs.push(msg);
+                    }
+                });
+                const expectCss = 'p{color:red;border-color:currentColor;}';
+
+                expect(cssOut).to.equal(expectCss);
+                expect(onWarningMsgs).to.have.length(1);
+                expect(onWarningMsgs[0]).to.include('does not match registered syntax "<color>"');
+            });
+
+            it('uses options.properties over @property', function() {
+                const cssIn = `
+                    @property --color {
+                        syntax: '<color>';
+                        inherits: true;
+                        initial-value: red;
+                    }
+                    p { color: var(--color); }
+                `;
+                const cssOut = transformCss(cssIn, {
+                    properties: {
+                        '--color': { syntax: '<color>', inherits: true, initialValue: 'green' }
+                    }
+                });
+                const expectCss = 'p{color:green;}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('retains @property when preserve is true', function() {
+                const cssIn = `
+                    @property --color {
+                        syntax: '<color>';
+                        inherits: true;
+                        initial-value: red;
+                    }
+                    p { color: var(--color); }
+                `;
+                const cssOut    = transformCss(cssIn, { preserve: true });
+                const expectCss = '@property --color{syntax:\'<color>\';inherits:true;initial-value:red;}p{color:red;color:var(--color);}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+        });
+
+        describe('reduceCalc', function() {
+            it('false (default)', function() {
+                const cssIn     = ':root{--gap:8px;}p{margin:calc(var(--gap) * 2);}';
+                const cssOut    = transformCss(cssIn);
+                const expectCss = 'p{margin:calc(8px * 2);}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('true', function() {
+                const cssIn = `
+                    :root { --gap: 8px; }
+                    p { transform: translateX(calc(var(--gap) * 2 + 4px)); }
+                    @media screen {
+                        p { width: calc(100% - var(--gap) - calc(var(--gap) * 2)); }
+                    }
+                `;
+                const cssOut    = transformCss(cssIn, { reduceCalc: true });
+                const expectCss = 'p{transform:translateX(20px);}@media screen{p{width:calc(100% - 24px);}}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+        });
+
+        describe('scopedVars', function() {
+            it('false (default)', function() {
+                const cssIn = `
+                    .theme-dark { --bg: black; }
+                    .btn { background: var(--bg, white); }
+                `;
+                const cssOut    = transformCss(cssIn);
+                const expectCss = '.theme-dark{--bg:black;}.btn{background:white;}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('true (descendant selectors)', function() {
+                const cssIn = `
+                    :root { --bg: white; }
+                    .theme-dark { --bg: black; }
+                    .theme-light, .theme-muted { --bg: gray; }
+                    .btn, .link { background: var(--bg); }
+                `;
+                const cssOut    = transformCss(cssIn, { scopedVars: true });
+                const expectCss = [
+                    '.btn,.link{background:white;}',
+                    '.theme-dark .btn,.theme-dark .link{background:black;}',
+                    '.theme-light .btn,.theme-light .link{background:gray;}',
+                    '.theme-muted .btn,.theme-muted .link{background:gray;}'
+                ].join('');
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('true (matching selector)', function() {
+                const cssIn = `
+                    :root { --pad: 2px; }
+                    .card { --pad: 4px; padding: var(--pad); }
+                `;
+                const cssOut    = transformCss(cssIn, { scopedVars: true });
+                const expectCss = '.card{padding:2px;}.card{padding:4px;}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('true (selector nested under scope)', function() {
+                const cssIn = `
+                    :root { --pad: 2px; }
+                    .card { --pad: 4px; }
+                    .card .title, .card.active > .title, .title { padding: var(--pad); }
+                `;
+                const cssOut    = transformCss(cssIn, { scopedVars: true });
+                const expectCss = [
+                    '.card .title,.card.active > .title,.title{padding:2px;}',
+                    '.card .title,.card.active > .title,.card .title{padding:4px;}'
+                ].join('');
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('true (chained variables and @media)', function() {
+                const cssIn = `
+                    :root { --size: 1px; --border: var(--size) solid; }
+                    .large { --size: 2px; }
+                    @media screen {
+                        p { border: var(--border); }
+                    }
+                `;
+                const cssOut    = transformCss(cssIn, { scopedVars: true });
+                const expectCss = '@media screen{p{border:1px solid;}.large p{border:2px solid;}}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('true (variables defined only by scopes)', function() {
+                const cssIn = `
+                    .a { --x: 1px; margin: var(--x); }
+                    .b { padding: var(--x); }
+                `;
+                const onWarningMsgs = [];
+                const cssOut        = transformCss(cssIn, {
+                    scopedVars: true,
+                    onWarning(msg) {
+                        onWarningMsgs.push(msg);
+                    }
+                });
+                const expectCss = '.a{margin:1px;}.a .b{padding:1px;}';
+
+                expect(cssOut).to.equal(expectCss);
+                expect(onWarningMsgs).to.have.length(0);
+            });
+
+            it('true (ignores unused scoped variables)', function() {
+                const cssIn = `
+                    :root { --color: red; }
+                    .theme-dark { --bg: black; }
+                    p { color: var(--color); }
+                `;
+                const cssOut    = transformCss(cssIn, { scopedVars: true });
+                const expectCss = 'p{color:red;}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+        });
+
+        describe('sourceMap', function() {
+            it('true (generates source map for sources)', function() {
+                const source1 = ':root {\n    --color: red;\n}\n';
+                const source2 = 'p {\n    color: var(--color);\n}\n';
+
+                let sourceMap;
+
+                const cssOut = transformCss(source1 + source2, {
+                    sourceMap: true,
+                    sources  : [
+                        { name: 'a.css', content: source1 },
+                        { name: 'b.css', content: source2 }
+                    ],
+                    onSourceMap(map) {
+                        sourceMap = map;
+                    }
+                });
+
+                expect(cssOut).to.equal('p{color:red;}');
+                expect(sourceMap.sources).to.deep.equal(['a.css', 'b.css']);
+                expect(sourceMap.mappings).to.equal('ACAA,EACI');
+            });
+
+            it('false (default)', function() {
+                let sourceMap = null;
+
+                transformCss(':root{--color:red;}p{color:var(--color);}', {
+                    onSourceMap(map) {
+                        sourceMap = map;
+                    }
+                });
+
+                expect(sourceMap).to.equal(null);
+            });
+        });
+
+        describe('tolerant', function() {
+            it('false (default)', function() {
+                const cssIn = 'p { color: var(--color); } a { color red; }';
+                const badFn = function() {
+                    transformCss(cssIn);
+                };
+
+                expect(badFn).to.throw(Error, 'property missing \':\'');
+            });
+
+            it('true', function() {
+                const cssIn = `
+                    :root { --color: red; }
+                    a { color red; }
+                    p { color: var(--color); }
+                `;
+                const onWarningMsgs = [];
+                const cssOut        = transformCss(cssIn, {
+                    tolerant: true,
+                    onWarning(msg) {
+                        onWarningMsgs.push(msg);
+                    }
+                });
+
+                expect(cssOut).to.equal('p{color:red;}');
+                expect(onWarningMsgs).to.have.length(1);
+                expect(onWarningMsgs[0]).to.include('property missing \':\'').and.include('"color red;"');
+            });
+        });
+
+        describe('unsetInvalid', function() {
+            it('false (default)', function() {
+                const cssIn     = 'p{color:var(--fail);margin:var(--fail) 10px;}';
+                const cssOut    = transformCss(cssIn);
+                const expectCss = 'p{color:var(--fail);margin:undefined 10px;}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('true (inherited and initial values)', function() {
+                const cssIn = `
+                    p {
+                        color: var(--fail);
+                        margin: var(--fail) 10px;
+                        -webkit-transform: var(--fail);
+                        unknown-prop: var(--fail);
+                        width: var(--fail, 10px);
+                    }
+                `;
+                const cssOut    = transformCss(cssIn, { unsetInvalid: true });
+                const expectCss = 'p{color:inherit;margin:0;-webkit-transform:none;unknown-prop:initial;width:10px;}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('true (invalid variables use fallback)', function() {
+                const cssIn = `
+                    :root {
+                        --a: var(--fail);
+                        --b: var(--a);
+                        --c: var(--fail, 1px);
+                    }
+                    p { padding: var(--b, 2px); margin: var(--c); }
+                `;
+                const cssOut    = transformCss(cssIn, { unsetInvalid: true });
+                const expectCss = 'p{padding:2px;margin:1px;}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+
+            it('true (scopedVars)', function() {
+                const cssIn = `
+                    :root { --color: red; }
+                    .theme { --color: var(--fail); }
+                    p { color: var(--color); }
+                `;
+                const cssOut    = transformCss(cssIn, { scopedVars: true, unsetInvalid: true });
+                const expectCss = 'p{color:red;}.theme p{color:inherit;}';
+
+                expect(cssOut).to.equal(expectCss);
+            });
+        });
+
         describe('variables', function() {
             it('No leading --', function() {
                 const cssIn     = ':root{--color1:red}p{color:var(--color1)}p{color:var(--color2)}';
@@ -368,6 +1317,19 @@ describe('transform-css', function() {
     // Tests: Callbacks
     // -------------------------------------------------------------------------
     describe('Callbacks', function() {
+        it('triggers onVariables callback with resolved :root variables', function() {
+            let onVariablesArg;
+
+            transformCss(':root { --a: var(--b); --b: 1px; --c: var(--fail); } p { margin: var(--a); }', {
+                variables: { d: 'red' },
+                onVariables(variables) {
+                    onVariablesArg = variables;
+                }
+            });
+
+            expect(onVariablesArg).to.deep.equal({ '--a': '1px', '--b': '1px', '--c': 'var(--fail)', '--d': 'red' });
+        });
+
         it('triggers onWarning callback with proper arguments', function() {
             let onWarningCount = 0;
 
@@ -379,5 +1341,79 @@ describe('transform-css', function() {
 
             expect(onWarningCount).to.equal(1);
         });
+
+        it('triggers onWarning callback with source, line, and column', function() {
+            const onWarningMsgs = [];
+            const source1       = ':root { --color: red; }\n';
+            const source2       = 'p {\n    color: var(--brand);\n}';
+
+            transformCss(source1 + source2, {
+                sources: [
+                    { name: 'base.css', content: source1 },
+                    { name: 'theme.css', content: source2 }
+                ],
+                onWarning(msg) {
+                    onWarningMsgs.push(msg);
+                }
+            });
+
+            expect(onWarningMsgs).to.deep.equal(['CSS transform warning: theme.css:2:5 variable "--brand" is undefined']);
+        });
+
+        it('triggers onWarning callback for each cyclic variable reference', function() {
+            const onWarningMsgs = [];
+
+            transformCss(`
+                :root {
+                    --a: var(--a);
+                    --b: var(--c);
+                    --c: calc(var(--b) + 1px);
+                }
+                p { color: var(--a, red); width: var(--b, 1px); }
+            `, {
+                onWarning(msg) {
+                    onWarningMsgs.push(msg);
+                }
+            });
+
+            expect(onWarningMsgs).to.have.length(2);
+            expect(onWarningMsgs[0]).to.include('--a -> --a');
+            expect(onWarningMsgs[1]).to.include('--b -> --c -> --b');
+        });
+
+        it('triggers onWarning callback for undefined and cyclic @custom-media references', function() {
+            const onWarningMsgs = [];
+            const cssOut        = transformCss(`
+                @custom-media --a (--b);
+                @custom-media --b (--a);
+                @media (--a) { p { height: 0; } }
+                @media (--fail), print { p { height: 0; } }
+            `, {
+                onlyVars: false,
+                onWarning(msg) {
+                    onWarningMsgs.push(msg);
+                }
+            });
+
+            expect(cssOut).to.equal('@media (--a){p{height:0;}}@media (--fail), print{p{height:0;}}');
+            expect(onWarningMsgs).to.have.length(2);
+            expect(onWarningMsgs[0]).to.include('--a -> --b -> --a');
+            expect(onWarningMsgs[1]).to.include('"--fail" is undefined');
+        });
+
+        it('triggers onWarning callback with resolved value when unsetInvalid is true', function() {
+            const onWarningMsgs = [];
+
+            transformCss('p { color: var(--fail); margin: var(--fail); }', {
+                unsetInvalid: true,
+                onWarning(msg) {
+                    onWarningMsgs.push(msg);
+                }
+            });
+
+            expect(onWarningMsgs).to.have.length(2);
+            expect(onWarningMsgs[0]).to.include('"color"').and.include('"inherit"');
+            expect(onWarningMsgs[1]).to.include('"margin"').and.include('"0"');
+        });
     });
 });